@@ -5,14 +5,16 @@ import { createClient } from '@supabase/supabase-js';
 import { google } from 'googleapis';
 import ytdl from 'ytdl-core';
 import fs from 'fs';
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
 import { config } from 'dotenv';
-import { execFileSync } from 'child_process';
+import { spawn } from 'child_process';
 import mp3Duration from 'mp3-duration';
-import { parseString } from 'xml2js';
-import { glob } from 'glob';
+import { parseString, Builder } from 'xml2js';
 import { v4 as uuid } from 'uuid';
-import { ElevenLabsClient } from "elevenlabs";
-import { decode } from 'base64-arraybuffer';
+import { pipeline } from 'stream/promises';
+import { S3Client, PutObjectCommand, GetObjectCommand, ListObjectsV2Command, DeleteObjectsCommand } from '@aws-sdk/client-s3';
 import ffmpeg from 'fluent-ffmpeg';
 
 config();
@@ -20,50 +22,756 @@ config();
 const app = express();
 app.use(express.json());
 
-const elevenLabs = new ElevenLabsClient({ apiKey: process.env.ELEVENLABS_API_KEY });
-
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+// Retries are handled by callService, so the SDK's own are turned off.
+const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY, maxRetries: 0 });
+// Any OpenAI-compatible server, e.g. Ollama or llama.cpp's server.
+const localLlm = new OpenAI({
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+    maxRetries: 0,
+    baseURL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1'
+});
 
 const youtube = google.youtube({ version: 'v3', auth: process.env.YOUTUBE_API_KEY });
-const supabaseClient = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+// Only needed when Supabase backs storage, metadata or the cache bucket.
+const supabaseClient = process.env.SUPABASE_URL ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY) : null;
 
 const NUM_CLIPS = 5;
 const MAX_CLIP_LENGTH = 900; // 15 minutes in seconds
+const MAX_LLM_ATTEMPTS = 3;
+const MAX_ADDED_TOPICS = 3;
+const MAX_CLIP_LENGTH_RETRIES = 2;
+const DEFAULT_DURATION = {
+    tolerance: 0.1, // fraction of the requested length the finished episode may be off by
+    clipTolerance: 0.25, // fraction a single clip may stray from its budget before it's re-requested
+    minClipLength: 30,
+    maxClipLength: MAX_CLIP_LENGTH,
+    idealClipLength: 180, // used to decide how many topics to ask the outline for
+    transitionEstimate: 15 // assumed transition length until real ones have been measured
+};
+const DEFAULT_MIX = {
+    targetLufs: -16,
+    crossfade: 0.5, // seconds of overlap between neighbouring segments
+    clipFade: 0, // seconds of fade in/out at the start and end of each clip
+    music: null, // URL of a background music bed for the intro and transitions
+    musicVolume: 0.2
+};
+const DEFAULT_BOUNDARIES = {
+    tolerance: 2, // how far (in seconds) a clip boundary may move; 0 turns refinement off
+    silenceThreshold: '-35dB',
+    minSilence: 0.3
+};
+const DEFAULT_FILTERS = {
+    allowChannels: [], // channel ids or names; when set, only these channels are used
+    denyChannels: [],
+    minViews: 0,
+    minSubscribers: 0,
+    maxAgeDays: null,
+    creativeCommonsOnly: false,
+    minDuration: null, // seconds, of the whole source video
+    maxDuration: null,
+    languages: [], // e.g. ['en'], matched against the start of the source's language code
+    uniqueChannels: false, // use each channel at most once per episode
+    blockedKeywords: [], // reject a clip whose transcript mentions any of these
+    moderation: false // also have the LLM check each clip's transcript
+};
+const DEFAULT_DEDUP = {
+    mode: 'window', // 'window' avoids repeating parts of clips used in other episodes, 'video' avoids their videos altogether, 'off'
+    maxOverlap: 0.2 // fraction of a new clip that may repeat a clip from another episode
+};
+const DEFAULT_OUTPUTS = {
+    m4a: null, // bitrate such as '128k' to also publish AAC audio in an M4A file
+    opus: null, // bitrate such as '64k' to also publish Opus audio
+    hls: null, // bitrate of a segmented AAC stream for HLS players
+    hlsSegmentLength: 6,
+    audiogram: false, // MP4 video of the whole episode: cover art, waveform and burned-in captions
+    highlights: false, // an MP4 video of the start of each clip
+    highlightLength: 60, // seconds
+    videoSize: 1080, // width and height of the square videos, in pixels
+    background: '0x1e293b' // colour of the generated cover when the episode has no artwork
+};
+// How many earlier episodes of a series the outline is shown.
+const SERIES_HISTORY_LIMIT = 10;
+const MIME_TYPES = {
+    mp3: 'audio/mpeg',
+    m4a: 'audio/mp4',
+    opus: 'audio/ogg',
+    json: 'application/json',
+    vtt: 'text/vtt',
+    srt: 'application/x-subrip',
+    m3u8: 'application/vnd.apple.mpegurl',
+    ts: 'video/mp2t',
+    mp4: 'video/mp4'
+};
+const LOCAL_AUDIO_DIR = process.env.LOCAL_AUDIO_DIR || 'library';
+const AUDIO_EXTENSIONS = ['.mp3', '.m4a', '.wav', '.ogg', '.opus', '.flac'];
+const LIBRARY_MAX_BYTES = parseInt(process.env.LIBRARY_MAX_BYTES || String(1024 * 1024 * 1024));
+const CACHE_DIR = process.env.CACHE_DIR || 'cache';
+const CACHE_MAX_BYTES = parseInt(process.env.CACHE_MAX_BYTES || String(2 * 1024 * 1024 * 1024));
+const CACHE_BUCKET = process.env.CACHE_BUCKET;
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'supabase'; // supabase, local or s3
+// The most keys S3's DeleteObjects takes in one request.
+const STORAGE_REMOVE_BATCH = 1000;
+const STORAGE_BUCKET = process.env.STORAGE_BUCKET || 'audio-files';
+const LOCAL_STORAGE_DIR = process.env.LOCAL_STORAGE_DIR || 'storage';
+const METADATA_BACKEND = process.env.METADATA_BACKEND || 'supabase'; // supabase or local
+const LOCAL_DATA_DIR = process.env.LOCAL_DATA_DIR || 'data';
+const DAY = 24 * 60 * 60;
+// Seconds an entry stays fresh, per namespace. Override with CACHE_TTL_<NAMESPACE>.
+const CACHE_TTLS = {
+    search: DAY,
+    metadata: DAY,
+    captions: 7 * DAY,
+    transcripts: 90 * DAY,
+    llm: 30 * DAY,
+    tts: 90 * DAY,
+    audio: 30 * DAY,
+    feeds: 60 * 60
+};
+// Speaking pace used to estimate how long a script will be before it's voiced.
+const WORDS_PER_SECOND = 2.5;
+const MAX_CONCURRENT_BUILDS = parseInt(process.env.MAX_CONCURRENT_BUILDS || '2');
+const WORKSPACE_ROOT = process.env.WORKSPACE_ROOT || os.tmpdir();
+// How many upcoming topics have their clips searched for and picked at the same time.
+const TOPIC_CONCURRENCY = parseInt(process.env.TOPIC_CONCURRENCY || '3');
+const MAX_SERVICE_RETRIES = 4;
+const RETRY_BASE_DELAY = 1000; // ms, doubled on every retry
+const RETRY_MAX_DELAY = 30000;
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN'];
+const WEBHOOK_EVENTS = ['episode.started', 'topic.completed', 'clip.skipped', 'episode.completed', 'episode.failed'];
+// Signs webhooks given with a request that don't bring their own secret.
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6');
+const WEBHOOK_RETRY_BASE_DELAY = 5000; // ms, doubled on every retry
+const WEBHOOK_TIMEOUT = 10000;
+
+// Caps how many calls run at once and how often new ones start. Starts are paced by a token
+// bucket that refills at ratePerSecond and holds at most burst tokens.
+const createLimiter = ({ concurrency = Infinity, ratePerSecond = Infinity, burst = 1 } = {}) => {
+    const waiting = [];
+    let active = 0;
+    let tokens = burst;
+    let lastRefill = Date.now();
+    let timer = null;
+
+    const takeToken = () => {
+        if (ratePerSecond === Infinity) return 0;
+        const now = Date.now();
+        tokens = Math.min(burst, tokens + (now - lastRefill) / 1000 * ratePerSecond);
+        lastRefill = now;
+        if (tokens < 1) return Math.ceil((1 - tokens) / ratePerSecond * 1000);
+        tokens -= 1;
+        return 0;
+    };
 
-const uploadToSupabase = async (filePath) => {
-    console.log(`Uploading ${filePath} to Supabase...`);
-    const fileName = filePath.split('/').pop();
-    const fileExtension = fileName.split('.').pop();
-    const uniqueFilename = `${uuid()}.${fileExtension}`;
-    const fileData = fs.readFileSync(filePath);
-    const buffedInput = fileData.toString("base64");
-    const { data, error } = await supabaseClient
-        .storage
-        .from('audio-files')
-        .upload(uniqueFilename, decode(buffedInput), {
-            contentType: 'audio/mpeg',
-        });
+    const next = () => {
+        while (waiting.length && active < concurrency && !timer) {
+            const wait = takeToken();
+            if (wait) {
+                timer = setTimeout(() => {
+                    timer = null;
+                    next();
+                }, wait);
+                return;
+            }
+            const { fn, resolve, reject } = waiting.shift();
+            active++;
+            Promise.resolve()
+                .then(fn)
+                .then(resolve, reject)
+                .finally(() => {
+                    active--;
+                    next();
+                });
+        }
+    };
+
+    return {
+        schedule: (fn) => new Promise((resolve, reject) => {
+            waiting.push({ fn, resolve, reject });
+            next();
+        })
+    };
+};
+
+// Limits for a service, overridable with <NAME>_CONCURRENCY, <NAME>_RATE_PER_SECOND and <NAME>_BURST.
+const getServiceLimits = (name, defaults) => ({
+    concurrency: parseInt(process.env[`${name}_CONCURRENCY`] || defaults.concurrency),
+    ratePerSecond: parseFloat(process.env[`${name}_RATE_PER_SECOND`] || defaults.ratePerSecond),
+    burst: parseInt(process.env[`${name}_BURST`] || defaults.burst)
+});
+
+// Shared by every running build, so concurrent episodes stay within the same quotas.
+const SERVICE_LIMITERS = {
+    youtube: createLimiter(getServiceLimits('YOUTUBE', { concurrency: 4, ratePerSecond: 5, burst: 5 })),
+    openai: createLimiter(getServiceLimits('OPENAI', { concurrency: 4, ratePerSecond: 3, burst: 5 })),
+    localLlm: createLimiter(getServiceLimits('LOCAL_LLM', { concurrency: 1, ratePerSecond: Infinity, burst: 1 })),
+    elevenlabs: createLimiter(getServiceLimits('ELEVENLABS', { concurrency: 2, ratePerSecond: 2, burst: 2 })),
+    supabase: createLimiter(getServiceLimits('SUPABASE', { concurrency: 4, ratePerSecond: 10, burst: 10 })),
+    // Local speech-to-text is CPU bound, so only one file is transcribed at a time by default.
+    transcription: createLimiter(getServiceLimits('TRANSCRIPTION', { concurrency: 1, ratePerSecond: Infinity, burst: 1 })),
+    webhooks: createLimiter(getServiceLimits('WEBHOOK', { concurrency: 4, ratePerSecond: Infinity, burst: 1 }))
+};
+
+// axios puts the status on error.response, the OpenAI SDK on error.status and Supabase storage on error.statusCode.
+const getErrorStatus = (error) => error?.response?.status ?? error?.status ?? (parseInt(error?.statusCode) || null);
+
+const isRetryableError = (error) => {
+    const status = getErrorStatus(error);
+    return status === 429 || status >= 500 || RETRYABLE_ERROR_CODES.includes(error?.code);
+};
+
+const getRetryAfter = (error) => {
+    const headers = error?.response?.headers || error?.headers || {};
+    const seconds = parseFloat(headers['retry-after']);
+    return isNaN(seconds) ? null : seconds * 1000;
+};
+
+// Runs fn under the service's limiter, retrying rate limits, server errors and dropped
+// connections with exponential backoff. Backoff happens outside the limiter so waiting
+// retries don't hold a slot.
+const callService = async (service, fn) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await SERVICE_LIMITERS[service].schedule(fn);
+        } catch (error) {
+            if (attempt >= MAX_SERVICE_RETRIES || !isRetryableError(error)) throw error;
+            const backoff = Math.min(RETRY_BASE_DELAY * 2 ** attempt, RETRY_MAX_DELAY) * (0.5 + Math.random() / 2);
+            const delay = getRetryAfter(error) ?? backoff;
+            console.log(`${service} call failed (${getErrorStatus(error) || error.code}), retrying in ${Math.round(delay)}ms`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+};
+
+// supabase-js returns errors instead of throwing them, so retryable ones are thrown here for
+// callService to see. Anything else is handed back as usual.
+const supabaseRequest = (fn) => callService('supabase', async () => {
+    const result = await fn();
+    if (result.error) {
+        const status = result.status ?? (parseInt(result.error.statusCode) || null);
+        if (status === 429 || status >= 500) throw Object.assign(new Error(result.error.message), { status });
+    }
+    return result;
+});
+
+const getMimeType = (fileName) => {
+    const fileExtension = fileName.split('?')[0].split('.').pop().toLowerCase();
+    return MIME_TYPES[fileExtension] || 'application/octet-stream';
+};
+
+// File storage backends. Each uploads a local file under a key and returns its public URL,
+// downloads a key to a local path (false if there's no such key), lists every key under a
+// prefix, following the backend's pages, and removes keys (at most STORAGE_REMOVE_BATCH at once).
+const createSupabaseStorage = (bucket) => ({
+    upload: async (filePath, key) => {
+        const { error } = await supabaseRequest(() => supabaseClient.storage.from(bucket).upload(key, fs.createReadStream(filePath), {
+            contentType: getMimeType(key),
+            duplex: 'half',
+            upsert: true
+        }));
+        if (error) throw error;
+        return `${process.env.SUPABASE_URL}/storage/v1/object/public/${bucket}/${key}`;
+    },
+    download: async (key, filePath) => {
+        const { data, error } = await supabaseRequest(() => supabaseClient.storage.from(bucket).download(key));
+        if (error) return false;
+        await fs.promises.writeFile(filePath, Buffer.from(await data.arrayBuffer()));
+        return true;
+    },
+    list: async (prefix) => {
+        const keys = [];
+        while (true) {
+            const { data, error } = await supabaseRequest(() => supabaseClient.storage.from(bucket).list(prefix, { limit: 1000, offset: keys.length }));
+            if (error) throw error;
+            keys.push(...data.map(object => `${prefix}/${object.name}`));
+            if (data.length < 1000) return keys;
+        }
+    },
+    remove: async (keys) => {
+        const { error } = await supabaseRequest(() => supabaseClient.storage.from(bucket).remove(keys));
+        if (error) throw error;
+    }
+});
+
+// Keeps files under LOCAL_STORAGE_DIR/<bucket>. The files bucket is served by this app at
+// /files/<bucket>, so PUBLIC_URL must be the address clients reach it on.
+const createLocalStorage = (bucket) => {
+    const bucketDir = path.join(LOCAL_STORAGE_DIR, bucket);
+    const getPath = (key) => path.join(bucketDir, ...key.split('/'));
+
+    return {
+        upload: async (filePath, key) => {
+            await fs.promises.mkdir(path.dirname(getPath(key)), { recursive: true });
+            await fs.promises.copyFile(filePath, getPath(key));
+            return `${process.env.PUBLIC_URL || 'http://localhost:5000'}/files/${bucket}/${key}`;
+        },
+        download: async (key, filePath) => {
+            if (!fs.existsSync(getPath(key))) return false;
+            await fs.promises.copyFile(getPath(key), filePath);
+            return true;
+        },
+        list: async (prefix) => {
+            if (!fs.existsSync(getPath(prefix))) return [];
+            return fs.readdirSync(getPath(prefix)).map(fileName => `${prefix}/${fileName}`);
+        },
+        remove: async (keys) => {
+            for (const key of keys) fs.rmSync(getPath(key), { force: true });
+        }
+    };
+};
+
+// AWS S3 or any S3-compatible server such as MinIO (set S3_ENDPOINT). Credentials come from
+// the usual AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY variables.
+const createS3Storage = (bucket) => {
+    const endpoint = process.env.S3_ENDPOINT;
+    const region = process.env.S3_REGION || 'us-east-1';
+    const client = new S3Client({ region, endpoint, forcePathStyle: Boolean(endpoint) });
+    const publicUrl = process.env.S3_PUBLIC_URL || (endpoint ? `${endpoint}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`);
+
+    return {
+        upload: async (filePath, key) => {
+            const { size } = await fs.promises.stat(filePath);
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: fs.createReadStream(filePath),
+                ContentLength: size,
+                ContentType: getMimeType(key)
+            }));
+            return `${publicUrl}/${key}`;
+        },
+        download: async (key, filePath) => {
+            try {
+                const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+                await pipeline(Body, fs.createWriteStream(filePath));
+                return true;
+            } catch (error) {
+                if (error.name === 'NoSuchKey') return false;
+                throw error;
+            }
+        },
+        list: async (prefix) => {
+            const keys = [];
+            let ContinuationToken;
+            do {
+                const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: `${prefix}/`, MaxKeys: 1000, ContinuationToken }));
+                keys.push(...(page.Contents || []).map(object => object.Key));
+                ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+            } while (ContinuationToken);
+            return keys;
+        },
+        // DeleteObjects reports keys it couldn't remove in Errors rather than failing.
+        remove: async (keys) => {
+            const { Errors = [] } = await client.send(new DeleteObjectsCommand({ Bucket: bucket, Delete: { Objects: keys.map(key => ({ Key: key })) } }));
+            if (Errors.length) {
+                throw new Error(`Couldn't remove ${Errors.length} of ${keys.length} keys from ${bucket}: ${Errors[0].Key} (${Errors[0].Code} ${Errors[0].Message})`);
+            }
+        }
+    };
+};
+
+const STORAGE_BACKENDS = {
+    supabase: createSupabaseStorage,
+    local: createLocalStorage,
+    s3: createS3Storage
+};
+const createStorage = (bucket) => {
+    const createBackend = STORAGE_BACKENDS[STORAGE_BACKEND];
+    if (!createBackend) throw new Error(`Unknown storage backend "${STORAGE_BACKEND}"`);
+    return createBackend(bucket);
+};
+const fileStorage = createStorage(STORAGE_BUCKET);
+// Optional bucket that backs the local cache, so it survives new machines.
+const cacheStorage = CACHE_BUCKET ? createStorage(CACHE_BUCKET) : null;
+
+const uploadFile = async (filePath) => {
+    console.log(`Uploading ${filePath} to ${STORAGE_BACKEND} storage...`);
+    return fileStorage.upload(filePath, `${uuid()}${path.extname(filePath)}`);
+};
+// Uploads a directory's files under one shared prefix, so relative references between them
+// keep working, and returns the URL of entryFile.
+const uploadDirectory = async (dirPath, entryFile) => {
+    const prefix = uuid();
+    let entryUrl = null;
+    for (const fileName of fs.readdirSync(dirPath)) {
+        console.log(`Uploading ${path.join(dirPath, fileName)} to ${STORAGE_BACKEND} storage...`);
+        const url = await fileStorage.upload(path.join(dirPath, fileName), `${prefix}/${fileName}`);
+        if (fileName === entryFile) entryUrl = url;
+    }
+    return entryUrl;
+};
+
+// Metadata backends. Filters map a column to a value, a list of values (matching any of them)
+// or { not: value } (anything else; { not: null } for rows where the column is set).
+const createSupabaseRepository = () => {
+    const applyFilters = (request, filters) => Object.entries(filters).reduce((request, [column, value]) => {
+        if (Array.isArray(value)) return request.in(column, value);
+        if (value && typeof value === 'object') return value.not === null ? request.not(column, 'is', null) : request.neq(column, value.not);
+        return request.eq(column, value);
+    }, request);
+    const run = async (buildRequest) => {
+        const { data, error } = await supabaseRequest(buildRequest);
+        if (error) throw error;
+        return data;
+    };
+    const find = (table, filters = {}, { orderBy, ascending = true, limit } = {}) => run(() => {
+        let request = applyFilters(supabaseClient.from(table).select(), filters);
+        if (orderBy) request = request.order(orderBy, { ascending });
+        if (limit) request = request.limit(limit);
+        return request;
+    });
+
+    return {
+        find,
+        findOne: async (table, filters) => (await find(table, filters, { limit: 1 }))[0] || null,
+        insert: async (table, record) => (await run(() => supabaseClient.from(table).insert(record).select()))[0],
+        upsert: async (table, record, key = 'id') => {
+            await run(() => supabaseClient.from(table).upsert(record, { onConflict: key }));
+        },
+        update: async (table, filters, fields) => {
+            await run(() => applyFilters(supabaseClient.from(table).update(fields), filters));
+        },
+        remove: async (table, filters) => {
+            await run(() => applyFilters(supabaseClient.from(table).delete(), filters));
+        }
+    };
+};
+
+// Keeps each table as a JSON file in LOCAL_DATA_DIR, for running a single instance without
+// Supabase. Rows are copied in and out so callers can't change them without saving.
+const createLocalRepository = () => {
+    const tables = {};
+    const load = (table) => {
+        if (!tables[table]) {
+            const filePath = path.join(LOCAL_DATA_DIR, `${table}.json`);
+            tables[table] = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : [];
+        }
+        return tables[table];
+    };
+    const save = (table) => {
+        fs.mkdirSync(LOCAL_DATA_DIR, { recursive: true });
+        const filePath = path.join(LOCAL_DATA_DIR, `${table}.json`);
+        fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(tables[table]));
+        fs.renameSync(`${filePath}.tmp`, filePath);
+    };
+    // Values are compared as strings since ids arrive from route params as strings.
+    const isMatch = (row, filters) => Object.entries(filters).every(([column, value]) => {
+        if (Array.isArray(value)) return value.some(option => String(option) === String(row[column]));
+        if (value && typeof value === 'object') return value.not === null ? row[column] != null : String(row[column]) !== String(value.not);
+        return String(row[column]) === String(value);
+    });
+    const find = async (table, filters = {}, { orderBy, ascending = true, limit } = {}) => {
+        let rows = load(table).filter(row => isMatch(row, filters));
+        if (orderBy) {
+            const direction = ascending ? 1 : -1;
+            rows.sort((a, b) => (a[orderBy] > b[orderBy] ? 1 : a[orderBy] < b[orderBy] ? -1 : 0) * direction);
+        }
+        if (limit) rows = rows.slice(0, limit);
+        return structuredClone(rows);
+    };
 
-    if (error) throw error;
+    return {
+        find,
+        findOne: async (table, filters) => (await find(table, filters, { limit: 1 }))[0] || null,
+        insert: async (table, record) => {
+            const row = { id: uuid(), created_at: new Date().toISOString(), ...structuredClone(record) };
+            load(table).push(row);
+            save(table);
+            return structuredClone(row);
+        },
+        upsert: async (table, record, key = 'id') => {
+            const rows = load(table);
+            const index = rows.findIndex(row => String(row[key]) === String(record[key]));
+            if (index === -1) rows.push({ created_at: new Date().toISOString(), ...structuredClone(record) });
+            else rows[index] = { ...rows[index], ...structuredClone(record) };
+            save(table);
+        },
+        update: async (table, filters, fields) => {
+            for (const row of load(table)) {
+                if (isMatch(row, filters)) Object.assign(row, structuredClone(fields));
+            }
+            save(table);
+        },
+        remove: async (table, filters) => {
+            tables[table] = load(table).filter(row => !isMatch(row, filters));
+            save(table);
+        }
+    };
+};
 
-    return `${process.env.SUPABASE_URL}/storage/v1/object/public/audio-files/${uniqueFilename}`;
+const METADATA_BACKENDS = {
+    supabase: createSupabaseRepository,
+    local: createLocalRepository
 };
+if (!METADATA_BACKENDS[METADATA_BACKEND]) throw new Error(`Unknown metadata backend "${METADATA_BACKEND}"`);
+const metadata = METADATA_BACKENDS[METADATA_BACKEND]();
 
-const addEpisodeToDb = async (title, description, length) => {
-    const { data, error } = await supabaseClient.from('episodes').insert([{ title, description, length }]).select();
-    if (error) throw error;
-    return data[0].id;
+const addEpisodeToDb = async (title, description, length, show = null, series = null) => {
+    const episode = await metadata.insert('episodes', { title, description, length, show, series });
+    return episode.id;
 };
 
-const updateClipInDb = async (episodeId, index, url, length, title, description, type, videoId = null) => {
+const getEpisode = (episodeId) => metadata.findOne('episodes', { id: episodeId });
+
+const getShow = (slug) => metadata.findOne('shows', { slug });
+
+// Show details fall back to the PODCAST_* environment variables when a show doesn't set them.
+const getShowDetails = (show = {}) => ({
+    title: show.title || process.env.PODCAST_TITLE || 'Podcast Builder',
+    description: show.description || process.env.PODCAST_DESCRIPTION || 'Episodes built from the best podcast clips.',
+    author: show.author || process.env.PODCAST_AUTHOR || 'Podcast Builder',
+    artwork: show.artwork_url || process.env.PODCAST_ARTWORK_URL,
+    category: show.category || process.env.PODCAST_CATEGORY || 'Technology',
+    language: show.language || process.env.PODCAST_LANGUAGE || 'en'
+});
+
+const updateClipInDb = async (episodeId, index, url, length, title, description, type, videoId = null, times = null) => {
     if (index === 0 && type === 'transition') return;
 
     const table = type === 'clip' ? 'clips' : type === 'transition' ? 'transitions' : 'intros';
     const record = { episode: episodeId, index, url, title, description, length };
     if (videoId) record.video_id = videoId;
+    if (times) Object.assign(record, times);
+
+    await metadata.insert(table, record);
+};
+
+// One checkpoint per episode records the outline and which topics already have an
+// uploaded clip and transition, so a failed build can be resumed without redoing them.
+const saveCheckpoint = async (checkpoint) => {
+    checkpoint.updated_at = new Date().toISOString();
+    await metadata.upsert('checkpoints', checkpoint, 'episode');
+};
+
+// The latest episodes of a series, oldest first, with the topics that made it into each.
+const getSeriesHistory = async (series) => {
+    const episodes = await metadata.find('episodes', { series }, { orderBy: 'created_at', ascending: false, limit: SERIES_HISTORY_LIMIT });
+    if (!episodes.length) return [];
+    const checkpoints = await metadata.find('checkpoints', { episode: episodes.map(episode => episode.id) });
+
+    return episodes.reverse().map(({ id, title, description }) => {
+        const checkpoint = checkpoints.find(checkpoint => checkpoint.episode === id);
+        const topics = checkpoint ? checkpoint.topics.filter((topic, i) => checkpoint.topic_states[i]?.clip) : [];
+        return { title, description, topics };
+    });
+};
+// Clips other episodes made from any of these videos.
+const getUsedClips = async (videoIds, excludeEpisodeId = null) => {
+    if (!videoIds.length) return [];
+    const filters = { video_id: videoIds };
+    if (excludeEpisodeId) filters.episode = { not: excludeEpisodeId };
+    return metadata.find('clips', filters);
+};
+const getSegmentRows = (table, episodeId) => metadata.find(table, { episode: episodeId }, { orderBy: 'index' });
+// Rewrites an episode's clip and transition rows from its checkpoint, so they match the
+// topic order after an edit.
+const syncSegmentRows = async (episodeId, checkpoint) => {
+    for (const table of ['clips', 'transitions']) {
+        await metadata.remove(table, { episode: episodeId });
+    }
+
+    let previousTitle = "Introduction";
+    for (let i = 0; i < checkpoint.topics.length; i++) {
+        const { clip, transition } = checkpoint.topic_states[i] || {};
+        if (!clip) continue;
+        const { title, description } = clip.video.snippet;
+        const { start_time, end_time, chosen_start_time, chosen_end_time } = clip;
+        const clipTimes = { start_time, end_time, chosen_start_time, chosen_end_time };
+        await updateClipInDb(episodeId, i, clip.url, clip.length, title, description, 'clip', clip.video.id.videoId, clipTimes);
+        if (transition) {
+            await updateClipInDb(episodeId, i, transition.url, transition.length, "Transition", `Transition between ${previousTitle} and ${title}`, 'transition');
+        }
+        previousTitle = title;
+    }
+};
+const getCheckpoint = (episodeId) => metadata.findOne('checkpoints', { episode: episodeId });
+
+const downloadFile = async (url, filePath) => {
+    const response = await axios.get(url, { responseType: 'stream' });
+    await pipeline(response.data, fs.createWriteStream(filePath));
+    return filePath;
+};
+
+const getCacheTtl = (namespace) => {
+    return parseInt(process.env[`CACHE_TTL_${namespace.toUpperCase()}`] || CACHE_TTLS[namespace] || DAY);
+};
+
+// Entries are addressed by a hash of their namespace and inputs. Each one has a
+// <key>.json record ({ created_at, value } or { created_at, file }) and file entries keep
+// the data alongside it as <key><file extension>.
+const getCacheKey = (namespace, inputs) => {
+    return crypto.createHash('sha256').update(JSON.stringify([namespace, inputs])).digest('hex');
+};
+
+const getCachePath = (namespace, fileName) => path.join(CACHE_DIR, namespace, fileName);
+
+// A record that can't be read (cut short by a crash, say) counts as a miss.
+const readCacheRecord = (recordPath) => {
+    try {
+        return JSON.parse(fs.readFileSync(recordPath, 'utf8'));
+    } catch (error) {
+        console.error(`Error reading cache record ${recordPath}:`, error.message);
+        return null;
+    }
+};
+
+// The cache bucket is a best-effort backup, so its failures are logged and treated as misses.
+const downloadFromCacheBucket = async (objectPath, filePath) => {
+    try {
+        return await cacheStorage.download(objectPath, filePath);
+    } catch (error) {
+        console.error(`Error downloading ${objectPath} from the cache bucket:`, error.message);
+        return false;
+    }
+};
+
+const uploadToCacheBucket = async (objectPath, filePath) => {
+    try {
+        await cacheStorage.upload(filePath, objectPath);
+    } catch (error) {
+        console.error(`Error uploading ${objectPath} to the cache bucket:`, error.message);
+    }
+};
+
+const readCacheEntry = async (namespace, key) => {
+    const recordPath = getCachePath(namespace, `${key}.json`);
+    if (!fs.existsSync(recordPath) && cacheStorage) {
+        fs.mkdirSync(path.dirname(recordPath), { recursive: true });
+        const downloadedRecordPath = `${recordPath}.download`;
+        if (await downloadFromCacheBucket(`${namespace}/${key}.json`, downloadedRecordPath)) {
+            const downloadedRecord = readCacheRecord(downloadedRecordPath);
+            const file = downloadedRecord?.file;
+            // The record only goes in place once the data it points at is here too.
+            if (downloadedRecord && (!file || await downloadFromCacheBucket(`${namespace}/${key}${file}`, getCachePath(namespace, `${key}${file}`)))) {
+                fs.renameSync(downloadedRecordPath, recordPath);
+                trackCacheWrite([recordPath, ...(file ? [getCachePath(namespace, `${key}${file}`)] : [])]);
+            } else {
+                fs.rmSync(downloadedRecordPath, { force: true });
+            }
+        }
+    }
+    if (!fs.existsSync(recordPath)) return null;
+
+    const entry = readCacheRecord(recordPath);
+    if (!entry) return null;
+    const ageSeconds = (Date.now() - new Date(entry.created_at).getTime()) / 1000;
+    if (ageSeconds > getCacheTtl(namespace)) return null;
+    if (entry.file && !fs.existsSync(getCachePath(namespace, `${key}${entry.file}`))) return null;
+
+    // Touch the record so eviction removes the least recently used entries first.
+    const now = new Date();
+    fs.utimesSync(recordPath, now, now);
+    if (entry.file) fs.utimesSync(getCachePath(namespace, `${key}${entry.file}`), now, now);
+    return entry;
+};
+
+const writeCacheEntry = async (namespace, key, entry, dataPath = null) => {
+    const recordPath = getCachePath(namespace, `${key}.json`);
+    fs.mkdirSync(path.dirname(recordPath), { recursive: true });
+    const record = { created_at: new Date().toISOString(), ...entry };
+    if (dataPath) {
+        record.file = path.extname(dataPath);
+        fs.copyFileSync(dataPath, getCachePath(namespace, `${key}${record.file}`));
+    }
+    fs.writeFileSync(`${recordPath}.tmp`, JSON.stringify(record));
+    fs.renameSync(`${recordPath}.tmp`, recordPath);
+
+    if (cacheStorage) {
+        if (dataPath) await uploadToCacheBucket(`${namespace}/${key}${record.file}`, getCachePath(namespace, `${key}${record.file}`));
+        await uploadToCacheBucket(`${namespace}/${key}.json`, recordPath);
+    }
+    trackCacheWrite([recordPath, ...(dataPath ? [getCachePath(namespace, `${key}${record.file}`)] : [])]);
+};
+
+// The local cache's size as of the last eviction plus what's been written since. Evicting
+// stats every file in the cache, so it only runs once this estimate goes over CACHE_MAX_BYTES,
+// and then frees an extra tenth so the next run is a while off. null until the first run.
+let cacheBytesEstimate = null;
+
+const trackCacheWrite = (filePaths) => {
+    if (cacheBytesEstimate !== null) {
+        cacheBytesEstimate += filePaths.reduce((total, filePath) => total + fs.statSync(filePath).size, 0);
+        if (cacheBytesEstimate <= CACHE_MAX_BYTES) return;
+    }
+    evictCache();
+};
+
+// Deletes the least recently used entries, record and data together, until the local cache
+// fits in 90% of CACHE_MAX_BYTES. An entry's last use is its record's mtime, which hits
+// refresh; files without a record are ranked by their own.
+const evictCache = () => {
+    cacheBytesEstimate = 0;
+    if (!fs.existsSync(CACHE_DIR)) return;
+
+    const entries = new Map();
+    for (const namespace of fs.readdirSync(CACHE_DIR)) {
+        for (const fileName of fs.readdirSync(path.join(CACHE_DIR, namespace))) {
+            const filePath = path.join(CACHE_DIR, namespace, fileName);
+            const { size, mtimeMs } = fs.statSync(filePath);
+            // Keys are sha256 hex digests, so the first 64 characters name the entry.
+            const entryId = `${namespace}/${fileName.slice(0, 64)}`;
+            const entry = entries.get(entryId) || { filePaths: [], size: 0, mtimeMs: 0, hasRecord: false };
+            entry.filePaths.push(filePath);
+            entry.size += size;
+            if (fileName.endsWith('.json')) {
+                entry.mtimeMs = mtimeMs;
+                entry.hasRecord = true;
+            } else if (!entry.hasRecord) {
+                entry.mtimeMs = Math.max(entry.mtimeMs, mtimeMs);
+            }
+            entries.set(entryId, entry);
+        }
+    }
+
+    let totalBytes = [...entries.values()].reduce((total, entry) => total + entry.size, 0);
+    for (const entry of [...entries.values()].sort((a, b) => a.mtimeMs - b.mtimeMs)) {
+        if (totalBytes <= CACHE_MAX_BYTES * 0.9) break;
+        for (const filePath of entry.filePaths) fs.rmSync(filePath, { force: true });
+        totalBytes -= entry.size;
+    }
+    cacheBytesEstimate = totalBytes;
+};
 
-    const { data, error } = await supabaseClient.from(table).insert(record);
-    if (error) throw error;
+// Returns the cached result of compute() for these inputs, computing and storing it on a
+// miss. Results that isCacheable rejects (e.g. empty lists from a failed scrape) aren't kept.
+const cached = async (namespace, inputs, compute, isCacheable = () => true) => {
+    const key = getCacheKey(namespace, inputs);
+    const entry = await readCacheEntry(namespace, key);
+    if (entry) return entry.value;
+
+    const value = await compute();
+    if (isCacheable(value)) await writeCacheEntry(namespace, key, { value });
+    return value;
+};
+
+// Like cached() for steps that write a file: produce() writes outputPath on a miss, and a
+// hit copies the cached file to outputPath instead.
+const cachedFile = async (namespace, inputs, outputPath, produce) => {
+    const key = getCacheKey(namespace, inputs);
+    const entry = await readCacheEntry(namespace, key);
+    if (entry) {
+        fs.copyFileSync(getCachePath(namespace, `${key}${entry.file}`), outputPath);
+        return outputPath;
+    }
+
+    await produce();
+    await writeCacheEntry(namespace, key, {}, outputPath);
+    return outputPath;
+};
+
+const clearCache = async (namespace = null) => {
+    const namespaces = namespace ? [namespace] : Object.keys(CACHE_TTLS);
+    // Counted again on the next write.
+    cacheBytesEstimate = null;
+    for (const name of namespaces) {
+        fs.rmSync(path.join(CACHE_DIR, name), { recursive: true, force: true });
+        if (!cacheStorage) continue;
+
+        const keys = await cacheStorage.list(name);
+        for (let i = 0; i < keys.length; i += STORAGE_REMOVE_BATCH) {
+            await cacheStorage.remove(keys.slice(i, i + STORAGE_REMOVE_BATCH));
+        }
+    }
 };
 
 const getAudioLength = (filePath) => {
@@ -75,7 +783,102 @@ const getAudioLength = (filePath) => {
     });
 };
 
-const getYoutubeSearchQueries = async (topic) => {
+const createChatProvider = (client, model, service) => ({
+    cacheKey: [client.baseURL, model],
+    complete: async (messages) => {
+        const response = await callService(service, () => client.chat.completions.create({ model, messages, response_format: { type: "json_object" } }));
+        return response.choices[0].message.content;
+    }
+});
+
+// Returns canned responses keyed by step name so builds can run without a model.
+// Fixture responses are never cached.
+const createFixtureProvider = (fixtures) => ({
+    cacheKey: null,
+    complete: async (messages, step) => {
+        if (!(step in fixtures)) throw new Error(`No LLM fixture for step "${step}"`);
+        return JSON.stringify(fixtures[step]);
+    }
+});
+
+const LLM_PROVIDERS = {
+    openai: (options) => createChatProvider(openai, options.model || 'gpt-4o', 'openai'),
+    local: (options) => createChatProvider(localLlm, options.model || process.env.LOCAL_LLM_MODEL || 'llama3', 'localLlm'),
+    fixture: (options) => createFixtureProvider(options.fixtures || JSON.parse(fs.readFileSync(process.env.LLM_FIXTURES_PATH, 'utf8')))
+};
+
+// llmOptions comes from the episode request: { provider, model, steps: { [step]: { provider, model } } }.
+// A step override that switches provider doesn't inherit the episode-level model name.
+const getLlmProvider = (step, llmOptions = {}) => {
+    const { steps = {}, ...episodeOptions } = llmOptions;
+    const stepOptions = steps[step] || {};
+    const options = stepOptions.provider && stepOptions.provider !== episodeOptions.provider
+        ? stepOptions
+        : { ...episodeOptions, ...stepOptions };
+
+    const providerName = options.provider || process.env.LLM_PROVIDER || 'openai';
+    const createProvider = LLM_PROVIDERS[providerName];
+    if (!createProvider) throw new Error(`Unknown LLM provider "${providerName}"`);
+    return createProvider(options);
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isTimestamp = (value) => value !== null && value !== '' && isFinite(value) && !isNaN(parseFloat(value));
+const isStringList = (value) => Array.isArray(value) && value.length > 0 && value.every(isNonEmptyString);
+const isDialogueFor = (names) => (value) => Array.isArray(value) && value.length > 0
+    && value.every(line => line && names.includes(line.speaker) && isNonEmptyString(line.text));
+const isBoolean = (value) => typeof value === 'boolean';
+const isFiniteNumber = (value) => typeof value === 'number' && isFinite(value);
+const isIndexUpTo = (max) => (value) => Number.isInteger(Number(value)) && Number(value) >= 1 && Number(value) <= max;
+
+// Schemas map a (dotted) field path to [validator, description of what was expected].
+// Validators get the whole response as well, for rules that span fields.
+const validateJsonResponse = (args, schema) => {
+    const problems = [];
+    for (const [field, [isValid, expected]] of Object.entries(schema)) {
+        const value = field.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), args);
+        if (!isValid(value, args)) problems.push(`"${field}" must be ${expected}`);
+    }
+    return problems;
+};
+
+const askForJson = async (step, messages, schema, llmOptions) => {
+    const provider = getLlmProvider(step, llmOptions);
+    if (!provider.cacheKey) return requestValidatedJson(provider, step, messages, schema);
+
+    return cached('llm', [provider.cacheKey, step, messages, Object.keys(schema)], () => {
+        return requestValidatedJson(provider, step, messages, schema);
+    });
+};
+
+const requestValidatedJson = async (provider, step, messages, schema) => {
+    const conversation = [...messages];
+    let problems = [];
+
+    for (let attempt = 1; attempt <= MAX_LLM_ATTEMPTS; attempt++) {
+        const content = await provider.complete(conversation, step);
+        let args = null;
+        try {
+            args = JSON.parse(content);
+            problems = validateJsonResponse(args, schema);
+        } catch (e) {
+            problems = [`the response must be valid JSON (${e.message})`];
+        }
+        if (!problems.length) return args;
+
+        console.error(`Invalid ${step} response on attempt ${attempt}: ${problems.join('; ')}`);
+        conversation.push(
+            { role: "assistant", content },
+            { role: "user", content: `Your previous response was invalid: ${problems.join('; ')}. Reply again with the corrected JSON object only.` }
+        );
+    }
+
+    const error = new Error(`Invalid ${step} response after ${MAX_LLM_ATTEMPTS} attempts: ${problems.join('; ')}`);
+    error.code = 'INVALID_LLM_RESPONSE';
+    throw error;
+};
+
+const getYoutubeSearchQueries = async (topic, llmOptions) => {
     const queryResponse = {
         youtubeSearchQueries: [
             "first search term for Youtube here.",
@@ -99,20 +902,71 @@ const getYoutubeSearchQueries = async (topic) => {
                       Your response MUST be in JSON format: ${JSON.stringify(queryResponse)}. Return the object directly.`
         }
     ];
-    const response = await openai.chat.completions.create({ model: "gpt-4o", messages, response_format: { type: "json_object" } });
-    const args = JSON.parse(response.choices[0].message.content);
-    fs.appendFileSync('queries.txt', `${topic}: ${JSON.stringify(args.youtubeSearchQueries)}\n`);
+    const args = await askForJson('searchQueries', messages, {
+        youtubeSearchQueries: [isStringList, "a non-empty list of search queries"]
+    }, llmOptions);
     return args.youtubeSearchQueries;
 };
 
 const searchYoutube = async (query) => {
-    const response = await youtube.search.list({
-        part: 'snippet',
-        q: query,
-        maxResults: 5,
-        type: 'video'
+    return cached('search', [query], async () => {
+        const response = await callService('youtube', () => youtube.search.list({
+            part: 'snippet',
+            q: query,
+            maxResults: 5,
+            type: 'video'
+        }));
+        return response.data.items;
+    });
+};
+
+// Looks up a single video in the same shape search results come in.
+const getYoutubeVideo = async (videoId) => {
+    const response = await callService('youtube', () => youtube.videos.list({ part: 'snippet', id: videoId }));
+    const video = response.data.items?.[0];
+    if (!video) return null;
+    return { id: { videoId }, snippet: video.snippet };
+};
+
+const parseIsoDuration = (duration) => {
+    const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(duration || '');
+    if (!match) return null;
+    const [days, hours, minutes, seconds] = match.slice(1).map(part => parseInt(part || '0'));
+    return ((days * 24 + hours) * 60 + minutes) * 60 + seconds;
+};
+
+// The metadata the candidate filters need, keyed by video id. Fields YouTube hides are null.
+const getYoutubeDetails = async (videoIds) => {
+    if (!videoIds.length) return {};
+
+    return cached('metadata', ['youtube', videoIds], async () => {
+        const details = {};
+        for (let i = 0; i < videoIds.length; i += 50) {
+            const videosResponse = await callService('youtube', () => youtube.videos.list({
+                part: 'snippet,statistics,contentDetails,status',
+                id: videoIds.slice(i, i + 50).join(',')
+            }));
+            const videos = videosResponse.data.items || [];
+            const channelIds = [...new Set(videos.map(video => video.snippet.channelId))];
+            const channelsResponse = await callService('youtube', () => youtube.channels.list({ part: 'statistics', id: channelIds.join(',') }));
+            const subscribers = Object.fromEntries((channelsResponse.data.items || []).map(channel => [
+                channel.id,
+                channel.statistics.hiddenSubscriberCount ? null : parseInt(channel.statistics.subscriberCount)
+            ]));
+
+            for (const video of videos) {
+                details[video.id] = {
+                    views: video.statistics.viewCount != null ? parseInt(video.statistics.viewCount) : null,
+                    subscribers: subscribers[video.snippet.channelId] ?? null,
+                    publishedAt: video.snippet.publishedAt,
+                    license: video.status.license,
+                    duration: parseIsoDuration(video.contentDetails.duration),
+                    language: video.snippet.defaultAudioLanguage || video.snippet.defaultLanguage || null
+                };
+            }
+        }
+        return details;
     });
-    return response.data.items;
 };
 
 const extractCaptionsJson = (html) => {
@@ -142,9 +996,13 @@ const parseXmlToJson = (xml) => {
 };
 
 const getYoutubeCaptions = async (videoId) => {
+    return cached('captions', [videoId], () => scrapeYoutubeCaptions(videoId), captions => captions.length > 0);
+};
+
+const scrapeYoutubeCaptions = async (videoId) => {
     try {
         const watchUrl = `https://www.youtube.com/watch?v=${videoId}`;
-        const response = await axios.get(watchUrl, { headers: { 'Accept-Language': 'en-US' } });
+        const response = await callService('youtube', () => axios.get(watchUrl, { headers: { 'Accept-Language': 'en-US' } }));
         const captionsJson = extractCaptionsJson(response.data);
         if (!captionsJson) return [];
 
@@ -163,7 +1021,7 @@ const getYoutubeCaptions = async (videoId) => {
         if (!selectedCaptionTrack) return [];
 
         const captionsUrl = selectedCaptionTrack.baseUrl;
-        const captionsResponse = await axios.get(captionsUrl);
+        const captionsResponse = await callService('youtube', () => axios.get(captionsUrl));
         const captionsJsonObj = await parseXmlToJson(captionsResponse.data);
         if (!captionsJsonObj.transcript || !captionsJsonObj.transcript.text) return [];
         return captionsJsonObj.transcript.text.map(item => ({
@@ -177,7 +1035,7 @@ const getYoutubeCaptions = async (videoId) => {
     }
 };
 
-const extractBestPartOfTranscript = async (transcript, topic, queryTerm, targetAvgClipLength) => {
+const extractBestPartOfTranscript = async (transcript, topic, queryTerm, targetAvgClipLength, llmOptions, previousLength = null) => {
     const queryResponse = {
         start_time: "The start time of the chosen section that matches the transcript object.",
         end_time: "The end time of the chosen section that matches the transcript object.",
@@ -200,22 +1058,57 @@ const extractBestPartOfTranscript = async (transcript, topic, queryTerm, targetA
                       Your response must be in JSON format: ${JSON.stringify(queryResponse)}. Return the object directly.`
         }
     ];
+    if (previousLength !== null) {
+        messages.push({
+            role: "user",
+            content: `A section you chose before was ${Math.round(previousLength)} seconds long, which is too ${previousLength > targetAvgClipLength ? 'long' : 'short'}.
+                      Choose a section that is as close as possible to ${Math.round(targetAvgClipLength)} seconds long.`
+        });
+    }
 
     try {
-        const response = await openai.chat.completions.create({ model: "gpt-4o", messages, response_format: { type: "json_object" } });
-        const args = JSON.parse(response.choices[0].message.content);
-        if (!args.start_time || !args.end_time) {
+        const args = await askForJson('transcriptSection', messages, {
+            start_time: [isTimestamp, "a start time in seconds taken from the transcript"],
+            end_time: [
+                (value, args) => isTimestamp(value) && parseFloat(value) > parseFloat(args.start_time),
+                "an end time in seconds taken from the transcript, after start_time"
+            ]
+        }, llmOptions);
+        const startTime = convertStringToFloat(args.start_time);
+        const endTime = convertStringToFloat(args.end_time);
+        // Answers cached before end times had to follow start times can still be the wrong way round.
+        if (endTime <= startTime) return [null, null, "No valid start and end times found."];
+        return [startTime, endTime, args.reason];
+    } catch (error) {
+        if (error.code === 'INVALID_LLM_RESPONSE') {
             return [null, null, "No valid start and end times found."];
         }
-        return [convertStringToFloat(args.start_time), convertStringToFloat(args.end_time), args.reason];
-    } catch (error) {
         console.error("Error extracting best part of transcript:", error);
         throw error;
     }
 };
 
-const downloadAudioFromYoutube = (videoUrl, startTime, endTime, index) => {
-    const outputFilename = `clip_${index}.mp3`;
+// Like execFileSync, but the event loop keeps running while the command does. input is written
+// to a piped stdin, and a piped stderr is collected and resolved as a string.
+const runCommand = (command, args, { input, ...options } = {}) => new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: 'inherit', ...options });
+    if (input !== undefined) {
+        // A command that exits without reading its input is reported by its exit code below.
+        child.stdin.on('error', () => {});
+        child.stdin.end(input);
+    }
+    let stderr = '';
+    child.stderr?.setEncoding('utf8').on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', (code, signal) => {
+        if (code === 0) return resolve(stderr);
+        const lastLine = stderr.trim().split('\n').at(-1);
+        reject(new Error(`${command} exited with ${signal || `code ${code}`}${lastLine ? `: ${lastLine}` : ''}`));
+    });
+});
+
+const downloadAudioFromYoutube = (workDir, videoUrl, startTime, endTime, index) => {
+    const outputFilename = path.join(workDir, `clip_${index}.mp3`);
     const options = { quality: 'highestaudio', begin: `${startTime}s`, end: `${endTime}s` };
 
     return new Promise((resolve, reject) => {
@@ -229,11 +1122,12 @@ const downloadAudioFromYoutube = (videoUrl, startTime, endTime, index) => {
     });
 };
 
-const cutClipToLength = (filePath, aimClipLength) => {
-    const tempFilePath = `temp_${filePath}`;
+const cutClipToLength = (workDir, fileName, aimClipLength, startOffset = 0) => {
+    const filePath = path.join(workDir, fileName);
+    const tempFilePath = path.join(workDir, `temp_${fileName}`);
     return new Promise((resolve, reject) => {
         ffmpeg(filePath)
-            .setStartTime(0)
+            .setStartTime(startOffset)
             .setDuration(aimClipLength)
             .save(tempFilePath)
             .on('end', () => {
@@ -244,72 +1138,544 @@ const cutClipToLength = (filePath, aimClipLength) => {
     });
 };
 
-async function getAudioForWords(filepath, words) {
-    console.log(`Generating audio for ${filepath}`)
-    const headers = {
-        'Accept': 'audio/mpeg',
-        'xi-api-key': process.env.ELEVENLABS_API_KEY,
-        'Content-Type': 'application/json'
+const SENTENCE_END = /[.!?]["')\]]*$/;
+
+const nearestWithin = (candidates, target, tolerance) => {
+    return candidates
+        .filter(candidate => Math.abs(candidate - target) <= tolerance)
+        .sort((a, b) => Math.abs(a - target) - Math.abs(b - target))[0];
+};
+
+// Moves the boundaries to the nearest caption that starts or ends a sentence. Auto-generated
+// captions usually have no punctuation, in which case the times are left alone.
+const snapToSentences = (captions, startTime, endTime, tolerance) => {
+    const sentenceStarts = captions
+        .filter((caption, i) => i === 0 || SENTENCE_END.test(captions[i - 1].text.trim()))
+        .map(caption => caption.start);
+    const sentenceEnds = captions
+        .filter(caption => SENTENCE_END.test(caption.text.trim()))
+        .map(caption => caption.start + caption.duration);
+    return {
+        start: nearestWithin(sentenceStarts, startTime, tolerance) ?? startTime,
+        end: nearestWithin(sentenceEnds, endTime, tolerance) ?? endTime
     };
-    const body = JSON.stringify({
-        text: words,
-        model_id: 'eleven_monolingual_v1',
-        voice_settings: {
-            stability: 0.3,
-            similarity_boost: 0.7,
-        }
-    });
-    const voiceId = 'fJE3lSefh7YI494JMYYz';
-    try {
-        const response = await axios.post(`https://api.elevenlabs.io/v1/text-to-speech/${voiceId}/stream`, body, {
-            headers: headers,
-            responseType: 'arraybuffer'
-        });
-        await fs.promises.writeFile(filepath, response.data);
-        console.log(`Generated audio for ${filepath}`);
-        return filepath;
-    } catch (error) {
-        throw new Error(`Error in generating audio: ${error}`);
+};
+
+// Runs ffmpeg's silencedetect over a file and returns the silent stretches in seconds.
+const detectSilences = async (filePath, threshold, minSilence) => {
+    const stderr = await runCommand('ffmpeg', ['-i', filePath, '-af', `silencedetect=noise=${threshold}:d=${minSilence}`, '-f', 'null', '-'], { stdio: ['ignore', 'ignore', 'pipe'] });
+    const silences = [];
+    for (const line of stderr.split('\n')) {
+        const startMatch = line.match(/silence_start: (-?[\d.]+)/);
+        const endMatch = line.match(/silence_end: ([\d.]+)/);
+        if (startMatch) silences.push({ start: Math.max(parseFloat(startMatch[1]), 0), end: null });
+        if (endMatch && silences.length) silences[silences.length - 1].end = parseFloat(endMatch[1]);
     }
-}
+    return silences.filter(silence => silence.end !== null);
+};
 
-const getBestVideo = async (videos, query, topic) => {
-    const queryResponse = {
-        video_number: "The index of the video you choose here.",
-        reason: "The reason for your choice."
+// Downloads the chosen range plus some padding either side, snaps the boundaries to sentence
+// ends and then to the middle of the nearest silence, and trims clip_<index>.mp3 to the
+// result. Returns the refined start and end times in the source's timeline.
+const downloadRefinedClip = async (workDir, item, captions, startTime, endTime, index, boundaryOptions = {}) => {
+    const { tolerance, silenceThreshold, minSilence } = { ...DEFAULT_BOUNDARIES, ...boundaryOptions };
+    const fileName = `clip_${index}.mp3`;
+    const adapter = getSourceAdapter(item);
+    const extractAudio = (rangeStart, rangeEnd) => {
+        const inputs = [item.source || 'youtube', item.id.videoId, rangeStart, rangeEnd];
+        return cachedFile('audio', inputs, path.join(workDir, fileName), () => adapter.extractAudio(workDir, item, rangeStart, rangeEnd, index));
     };
 
-    const messages = [
-        {
-            role: "system",
-            content: `You are in charge of selecting the best audio clip for section on "${query}" for a podcast on ${topic}.
-                      Your job is to choose the best clip from the list of clip transcripts provided and explain why it was chosen.`
-        },
-        {
-            role: "user",
-            content: `Here are the clips you can choose from. Pick the clip that best fits the discussion topic of "${query}" for the podcast on ${topic}
-                      ${JSON.stringify(videos)}
-                      Your response should be in JSON format, like this example: ${JSON.stringify(queryResponse)}`
-        }
-    ];
+    if (!tolerance) {
+        await extractAudio(startTime, endTime);
+        await cutClipToLength(workDir, fileName, endTime - startTime);
+        return { start: startTime, end: endTime };
+    }
 
-    try {
-        const response = await openai.chat.completions.create({ model: "gpt-4o", messages, response_format: { type: "json_object" } });
-        const args = JSON.parse(response.choices[0].message.content);
-        const vidNum = parseInt(args.video_number);
-        if (vidNum > videos.length) return null;
-        if (vidNum < 1) return null;
-        return { video: videos[vidNum - 1], reason: args.reason };
-    } catch (error) {
-        console.error("Error getting best video:", error);
-        throw error;
+    const sentenceBounds = snapToSentences(captions, startTime, endTime, tolerance);
+    const paddedStart = Math.max(sentenceBounds.start - tolerance, 0);
+    const clipPath = await extractAudio(paddedStart, sentenceBounds.end + tolerance);
+
+    const silenceMidpoints = (await detectSilences(clipPath, silenceThreshold, minSilence))
+        .map(silence => paddedStart + (silence.start + silence.end) / 2);
+    let start = nearestWithin(silenceMidpoints, sentenceBounds.start, tolerance) ?? sentenceBounds.start;
+    let end = nearestWithin(silenceMidpoints, sentenceBounds.end, tolerance) ?? sentenceBounds.end;
+    if (end - start < 1) {
+        start = startTime;
+        end = endTime;
     }
-};
 
-const createTransition = async (queryTerm, previousClip, clip) => {
-    // const previousTitle = previousClip.snippet.title || 'Unknown Title';
-    // const previousChannel = previousClip.snippet.channelTitle || 'Unknown Channel';
-    // const previousDescription = previousClip.snippet.description || 'No description available';
+    console.log(`Refined clip ${index} from ${startTime}-${endTime}s to ${start.toFixed(2)}-${end.toFixed(2)}s`);
+    await cutClipToLength(workDir, fileName, end - start, start - paddedStart);
+    return { start, end };
+};
+
+const extractAudioRange = (workDir, input, startTime, endTime, index) => {
+    const outputFilename = path.join(workDir, `clip_${index}.mp3`);
+    return new Promise((resolve, reject) => {
+        ffmpeg(input)
+            .setStartTime(startTime)
+            .setDuration(endTime - startTime)
+            .audioCodec('libmp3lame')
+            .save(outputFilename)
+            .on('end', () => resolve(outputFilename))
+            .on('error', reject);
+    });
+};
+
+const convertForTranscription = (input, outputPath) => {
+    return new Promise((resolve, reject) => {
+        const command = ffmpeg(input).audioChannels(1).audioFrequency(16000);
+        if (outputPath.endsWith('.mp3')) command.audioBitrate('32k');
+        command
+            .save(outputPath)
+            .on('end', () => resolve(outputPath))
+            .on('error', reject);
+    });
+};
+
+// The audio is squeezed down to 16kHz mono first to stay under the API's upload size limit.
+const transcribeWithOpenAI = async (input, tempBase) => {
+    const audioPath = await convertForTranscription(input, `${tempBase}.mp3`);
+    const response = await callService('openai', () => openai.audio.transcriptions.create({
+        file: fs.createReadStream(audioPath),
+        model: process.env.OPENAI_TRANSCRIBE_MODEL || 'whisper-1',
+        response_format: 'verbose_json'
+    }));
+    return response.segments.map(segment => ({ text: segment.text.trim(), start: segment.start, end: segment.end }));
+};
+
+const transcribeWithWhisperCpp = async (input, tempBase) => {
+    const audioPath = await convertForTranscription(input, `${tempBase}.wav`);
+    const model = process.env.WHISPER_CPP_MODEL;
+    if (!model) throw new Error("WHISPER_CPP_MODEL must point at a whisper.cpp model file");
+
+    await runCommand(process.env.WHISPER_CPP_BIN || 'whisper-cli', ['-m', model, '-f', audioPath, '-oj', '-of', tempBase], { stdio: ['ignore', 'ignore', 'inherit'] });
+    const output = JSON.parse(fs.readFileSync(`${tempBase}.json`, 'utf8'));
+    return output.transcription.map(segment => ({
+        text: segment.text.trim(),
+        start: segment.offsets.from / 1000,
+        end: segment.offsets.to / 1000
+    }));
+};
+
+// faster-whisper through the whisper-ctranslate2 CLI, which writes openai-whisper style JSON.
+const transcribeWithFasterWhisper = async (input, tempBase) => {
+    const audioPath = await convertForTranscription(input, `${tempBase}.wav`);
+    const args = [audioPath, '--model', process.env.FASTER_WHISPER_MODEL || 'small', '--output_format', 'json', '--output_dir', path.dirname(tempBase)];
+    await runCommand(process.env.FASTER_WHISPER_BIN || 'whisper-ctranslate2', args, { stdio: ['ignore', 'ignore', 'inherit'] });
+    const output = JSON.parse(fs.readFileSync(`${tempBase}.json`, 'utf8'));
+    return output.segments.map(segment => ({ text: segment.text.trim(), start: segment.start, end: segment.end }));
+};
+
+const TRANSCRIBE_ENGINES = {
+    openai: transcribeWithOpenAI,
+    'whisper.cpp': transcribeWithWhisperCpp,
+    'faster-whisper': transcribeWithFasterWhisper
+};
+
+// Transcribes a file path, URL or stream into the same { text, start, duration } shape as
+// YouTube captions, using the engine named by TRANSCRIBE_ENGINE.
+const transcribeAudio = async (input) => {
+    const engineName = process.env.TRANSCRIBE_ENGINE || 'openai';
+    const transcribe = TRANSCRIBE_ENGINES[engineName];
+    if (!transcribe) throw new Error(`Unknown transcription engine "${engineName}"`);
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcribe-'));
+    try {
+        const segments = await transcribe(input, path.join(tempDir, 'audio'));
+        return segments
+            .filter(segment => segment.text)
+            .map(segment => ({ text: segment.text, start: segment.start, duration: segment.end - segment.start }));
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+};
+
+// Transcripts are cached per source item so re-runs don't transcribe the same audio
+// again. getInput is only called on a cache miss. Failures are logged and treated like a
+// video without captions. Without transcribe, only an earlier transcription is returned.
+const getTranscriptFromAudio = async (itemId, getInput, { transcribe = true } = {}) => {
+    if (process.env.TRANSCRIBE_ENGINE === 'none') return [];
+    if (!transcribe) return (await readCacheEntry('transcripts', getCacheKey('transcripts', [itemId])))?.value || [];
+
+    return cached('transcripts', [itemId], async () => {
+        try {
+            console.log(`Transcribing ${itemId}`);
+            return await SERVICE_LIMITERS.transcription.schedule(() => transcribeAudio(getInput()));
+        } catch (error) {
+            console.error(`Error transcribing ${itemId}:`, error.message);
+            return [];
+        }
+    }, transcript => transcript.length > 0);
+};
+
+const parseCueTime = (time) => {
+    const [seconds, minutes = 0, hours = 0] = time.replace(',', '.').split(':').reverse().map(parseFloat);
+    return hours * 3600 + minutes * 60 + seconds;
+};
+
+// Parses WebVTT or SRT into the same { text, start, duration } shape as YouTube captions.
+const parseTimedText = (text) => {
+    const captions = [];
+    for (const block of text.replace(/\r/g, '').split(/\n{2,}/)) {
+        const lines = block.split('\n');
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        if (timingIndex === -1) continue;
+
+        const [start, end] = lines[timingIndex].split('-->').map(part => parseCueTime(part.trim().split(/\s+/)[0]));
+        const cueText = lines.slice(timingIndex + 1).join(' ').replace(/<[^>]+>/g, '').trim();
+        if (cueText) captions.push({ text: cueText, start, duration: end - start });
+    }
+    return captions;
+};
+
+// Podcasting 2.0 JSON transcripts: { segments: [{ startTime, endTime, body }] }.
+const parseJsonTranscript = (json) => {
+    return (json.segments || []).map(segment => ({
+        text: segment.body,
+        start: segment.startTime,
+        duration: segment.endTime - segment.startTime
+    }));
+};
+
+const stripHtml = (html = '') => String(html).replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+
+const rankByKeywords = (items, query, getText) => {
+    const keywords = query.toLowerCase().split(/\W+/).filter(word => word.length > 2);
+    return items
+        .map(item => ({ item, score: keywords.filter(word => getText(item).toLowerCase().includes(word)).length }))
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, 5)
+        .map(result => result.item);
+};
+
+// Podcast episodes and library files are shaped like YouTube search results
+// ({ id: { videoId }, snippet: { title, channelTitle, description } }) so the selection
+// steps can treat every source the same way. Feeds are cached briefly so a search and the
+// lookups that follow it don't fetch every feed again.
+const getPodcastFeedItems = (feedUrl) => cached('feeds', [feedUrl], () => fetchPodcastFeedItems(feedUrl));
+
+const fetchPodcastFeedItems = async (feedUrl) => {
+    const response = await axios.get(feedUrl);
+    const feed = await parseXmlToJson(response.data);
+    const channel = feed.rss.channel;
+    const channelTitle = typeof channel.title === 'object' ? channel.title._ : channel.title;
+
+    return [].concat(channel.item || []).filter(item => item.enclosure?.$?.url).map(item => {
+        const guid = typeof item.guid === 'object' ? item.guid._ : item.guid;
+        const transcripts = [].concat(item['podcast:transcript'] || []).map(transcript => transcript.$);
+        const transcript = transcripts.find(transcript => /json|vtt|srt|subrip/.test(transcript.type));
+        return {
+            id: { videoId: `podcast:${guid || item.enclosure.$.url}` },
+            snippet: {
+                title: typeof item.title === 'object' ? item.title._ : item.title,
+                channelTitle,
+                description: stripHtml(item.description || item['itunes:summary'])
+            },
+            source: 'podcast',
+            audioUrl: item.enclosure.$.url,
+            transcriptUrl: transcript?.url || null,
+            transcriptType: transcript?.type || null,
+            details: {
+                publishedAt: item.pubDate ? new Date(item.pubDate).toISOString() : null,
+                duration: item['itunes:duration'] ? parseCueTime(String(item['itunes:duration'])) : null,
+                language: channel.language || null
+            }
+        };
+    });
+};
+
+// A sidecar that can't be parsed is logged and ignored, so one bad file can't break every search.
+const readLibrarySidecar = (metadataPath) => {
+    try {
+        const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+        return metadata && typeof metadata === 'object' ? metadata : {};
+    } catch (error) {
+        console.error(`Error reading library metadata ${metadataPath}:`, error.message);
+        return {};
+    }
+};
+
+const getLocalLibraryItems = () => {
+    if (!fs.existsSync(LOCAL_AUDIO_DIR)) return [];
+
+    return fs.readdirSync(LOCAL_AUDIO_DIR)
+        .filter(fileName => AUDIO_EXTENSIONS.includes(path.extname(fileName).toLowerCase()))
+        .map(fileName => {
+            // Optional sidecar <name>.json with { title, author, description, transcript }.
+            const baseName = path.parse(fileName).name;
+            const metadataPath = path.join(LOCAL_AUDIO_DIR, `${baseName}.json`);
+            const metadata = fs.existsSync(metadataPath) ? readLibrarySidecar(metadataPath) : {};
+            return {
+                id: { videoId: `local:${fileName}` },
+                snippet: {
+                    title: metadata.title || baseName,
+                    channelTitle: metadata.author || 'Local library',
+                    description: metadata.description || ''
+                },
+                source: 'local',
+                audioPath: path.join(LOCAL_AUDIO_DIR, fileName),
+                transcript: metadata.transcript || null
+            };
+        });
+};
+
+const getLocalTranscript = async (item, transcriptOptions) => {
+    if (item.transcript) return item.transcript;
+    for (const extension of ['.vtt', '.srt']) {
+        const sidecarPath = item.audioPath.replace(/\.[^.]+$/, extension);
+        if (fs.existsSync(sidecarPath)) return parseTimedText(fs.readFileSync(sidecarPath, 'utf8'));
+    }
+    return getTranscriptFromAudio(item.id.videoId, () => item.audioPath, transcriptOptions);
+};
+
+const getPodcastTranscript = async (item, transcriptOptions) => {
+    if (item.transcriptUrl) {
+        try {
+            const response = await axios.get(item.transcriptUrl, { responseType: 'text' });
+            return item.transcriptType.includes('json')
+                ? parseJsonTranscript(JSON.parse(response.data))
+                : parseTimedText(response.data);
+        } catch (error) {
+            console.error(`Error fetching published transcript for ${item.snippet.title}:`, error.message);
+        }
+    }
+    return getTranscriptFromAudio(item.id.videoId, () => item.audioUrl, transcriptOptions);
+};
+
+// Each source can search for candidates, look one up by id, report the metadata the candidate
+// filters use, provide a timed transcript and cut an audio range into clip_<index>.mp3. sourceOptions is the matching entry from the episode's sources.
+// getTranscript falls back to transcribing the audio unless it's given { transcribe: false }.
+const SOURCE_ADAPTERS = {
+    youtube: {
+        search: (query) => searchYoutube(query),
+        getItem: (id) => getYoutubeVideo(id),
+        getDetails: (items) => getYoutubeDetails(items.map(item => item.id.videoId)),
+        getTranscript: async (item, transcriptOptions) => {
+            const captions = await getYoutubeCaptions(item.id.videoId);
+            if (captions.length) return captions;
+            return getTranscriptFromAudio(item.id.videoId, () => ytdl(item.id.videoId, { quality: 'highestaudio' }), transcriptOptions);
+        },
+        extractAudio: (workDir, item, startTime, endTime, index) => downloadAudioFromYoutube(workDir, item.id.videoId, startTime, endTime, index),
+        getUrl: (item, startTime) => `https://www.youtube.com/watch?v=${item.id.videoId}&t=${Math.floor(startTime)}s`
+    },
+    podcast: {
+        search: async (query, sourceOptions) => {
+            const feeds = sourceOptions.feeds || (process.env.PODCAST_SOURCE_FEEDS || '').split(',').filter(Boolean);
+            let items = [];
+            for (const feedUrl of feeds) {
+                try {
+                    items = items.concat(await getPodcastFeedItems(feedUrl));
+                } catch (error) {
+                    console.error(`Error reading podcast feed ${feedUrl}:`, error.message);
+                }
+            }
+            return rankByKeywords(items, query, item => `${item.snippet.title} ${item.snippet.description}`);
+        },
+        getItem: async (id, sourceOptions) => {
+            const feeds = sourceOptions.feeds || (process.env.PODCAST_SOURCE_FEEDS || '').split(',').filter(Boolean);
+            for (const feedUrl of feeds) {
+                const item = (await getPodcastFeedItems(feedUrl)).find(item => item.id.videoId === id);
+                if (item) return item;
+            }
+            return null;
+        },
+        getDetails: async (items) => Object.fromEntries(items.map(item => [item.id.videoId, item.details])),
+        getTranscript: getPodcastTranscript,
+        extractAudio: (workDir, item, startTime, endTime, index) => extractAudioRange(workDir, item.audioUrl, startTime, endTime, index),
+        getUrl: (item, startTime) => `${item.audioUrl}#t=${Math.floor(startTime)}`
+    },
+    local: {
+        search: async (query) => {
+            return rankByKeywords(getLocalLibraryItems(), query, item => `${item.snippet.title} ${item.snippet.description}`);
+        },
+        getItem: async (id) => getLocalLibraryItems().find(item => item.id.videoId === id) || null,
+        getDetails: async () => ({}),
+        getTranscript: getLocalTranscript,
+        extractAudio: (workDir, item, startTime, endTime, index) => extractAudioRange(workDir, item.audioPath, startTime, endTime, index),
+        getUrl: () => null
+    }
+};
+
+// Items saved before there were other sources have no source field and came from YouTube.
+const getSourceAdapter = (item) => SOURCE_ADAPTERS[item.source || 'youtube'];
+
+// Podcast and local item ids carry their source as a prefix; anything else is a YouTube video id.
+const getSourceType = (id) => {
+    const prefix = id.split(':')[0];
+    return prefix !== id && SOURCE_ADAPTERS[prefix] ? prefix : 'youtube';
+};
+
+// Looks up a candidate by id, using the episode's options for its source.
+const findSourceItem = async (id, sources) => {
+    const sourceType = getSourceType(id);
+    const sourceOptions = normalizeSources(sources).find(source => source.type === sourceType) || { type: sourceType };
+    const item = await SOURCE_ADAPTERS[sourceType].getItem(id, sourceOptions);
+    return item && { ...item, source: sourceType };
+};
+
+// Sources come from the episode request as names or { type, ...options } objects.
+const normalizeSources = (sources) => {
+    return (sources?.length ? sources : ['youtube']).map(source => typeof source === 'string' ? { type: source } : source);
+};
+
+const synthesizeWithElevenLabs = async (words, filepath, options) => {
+    const headers = {
+        'Accept': 'audio/mpeg',
+        'xi-api-key': process.env.ELEVENLABS_API_KEY,
+        'Content-Type': 'application/json'
+    };
+    const body = JSON.stringify({
+        text: words,
+        model_id: options.model || 'eleven_monolingual_v1',
+        voice_settings: {
+            stability: options.stability ?? 0.3,
+            similarity_boost: options.similarity ?? 0.7,
+        }
+    });
+    const voiceId = options.voice || 'fJE3lSefh7YI494JMYYz';
+    const response = await callService('elevenlabs', () => axios.post(`https://api.elevenlabs.io/v1/text-to-speech/${voiceId}/stream`, body, {
+        headers: headers,
+        responseType: 'arraybuffer'
+    }));
+    await fs.promises.writeFile(filepath, response.data);
+};
+
+const synthesizeWithOpenAI = async (words, filepath, options) => {
+    const response = await callService('openai', () => openai.audio.speech.create({
+        model: options.model || 'tts-1',
+        voice: options.voice || 'alloy',
+        input: words,
+        response_format: 'mp3'
+    }));
+    await fs.promises.writeFile(filepath, Buffer.from(await response.arrayBuffer()));
+};
+
+const convertToMp3 = (inputPath, outputPath) => {
+    return new Promise((resolve, reject) => {
+        ffmpeg(inputPath)
+            .audioCodec('libmp3lame')
+            .save(outputPath)
+            .on('end', () => resolve(outputPath))
+            .on('error', reject);
+    });
+};
+
+// Offline voices via piper (options.model is the .onnx voice file) or espeak-ng (options.voice is the language/voice name).
+const synthesizeLocally = async (words, filepath, options) => {
+    const wavPath = filepath.replace(/\.mp3$/, '.wav');
+    const engine = options.engine || process.env.LOCAL_TTS_ENGINE || 'espeak-ng';
+    if (engine === 'piper') {
+        const model = options.model || process.env.PIPER_MODEL;
+        if (!model) throw new Error("A piper voice model is required for local TTS");
+        await runCommand('piper', ['--model', model, '--output_file', wavPath], { input: words, stdio: ['pipe', 'ignore', 'pipe'] });
+    } else if (engine === 'espeak-ng') {
+        await runCommand('espeak-ng', ['-v', options.voice || 'en-us', '-w', wavPath, '--stdin'], { input: words, stdio: ['pipe', 'ignore', 'pipe'] });
+    } else {
+        throw new Error(`Unknown local TTS engine "${engine}"`);
+    }
+
+    await convertToMp3(wavPath, filepath);
+    fs.unlinkSync(wavPath);
+};
+
+const TTS_PROVIDERS = {
+    elevenlabs: synthesizeWithElevenLabs,
+    openai: synthesizeWithOpenAI,
+    local: synthesizeLocally
+};
+
+// ttsOptions comes from the episode request: { provider, voice, model, stability, similarity, engine }.
+async function getAudioForWords(workDir, fileName, words, ttsOptions = {}) {
+    const filepath = path.join(workDir, fileName);
+    const providerName = ttsOptions.provider || process.env.TTS_PROVIDER || 'elevenlabs';
+    const synthesize = TTS_PROVIDERS[providerName];
+    if (!synthesize) throw new Error(`Unknown TTS provider "${providerName}"`);
+
+    console.log(`Generating audio for ${filepath} with ${providerName}`)
+    try {
+        await cachedFile('tts', [providerName, ttsOptions, words], filepath, () => synthesize(words, filepath, ttsOptions));
+        console.log(`Generated audio for ${filepath}`);
+        return filepath;
+    } catch (error) {
+        throw new Error(`Error in generating audio: ${error}`);
+    }
+}
+
+const getBestVideo = async (videos, query, topic, llmOptions) => {
+    const queryResponse = {
+        video_number: "The index of the video you choose here.",
+        reason: "The reason for your choice."
+    };
+
+    const messages = [
+        {
+            role: "system",
+            content: `You are in charge of selecting the best audio clip for section on "${query}" for a podcast on ${topic}.
+                      Your job is to choose the best clip from the list of clip transcripts provided and explain why it was chosen.`
+        },
+        {
+            role: "user",
+            content: `Here are the clips you can choose from. Pick the clip that best fits the discussion topic of "${query}" for the podcast on ${topic}
+                      ${JSON.stringify(videos)}
+                      Your response should be in JSON format, like this example: ${JSON.stringify(queryResponse)}`
+        }
+    ];
+
+    try {
+        const args = await askForJson('bestVideo', messages, {
+            video_number: [isIndexUpTo(videos.length), `a whole number between 1 and ${videos.length}`]
+        }, llmOptions);
+        const vidNum = parseInt(args.video_number);
+        return { video: videos[vidNum - 1], reason: args.reason };
+    } catch (error) {
+        if (error.code === 'INVALID_LLM_RESPONSE') return null;
+        console.error("Error getting best video:", error);
+        throw error;
+    }
+};
+
+// Asks whether a clip's transcript is suitable for the show. Returns null when it is, or the
+// reason it isn't.
+const moderateTranscript = async (text, topic, queryTerm, llmOptions) => {
+    const queryResponse = {
+        suitable: "true if the clip can be played on the podcast, false if not.",
+        reason: "Why the clip isn't suitable, if it isn't."
+    };
+
+    const messages = [
+        {
+            role: "system",
+            content: `You review audio clips before they are played on a podcast on ${queryTerm}, in a section on "${topic}".
+                      Reject clips with hate speech, harassment, graphic violence, sexual content, dangerous advice or misinformation.`
+        },
+        {
+            role: "user",
+            content: `Here is the clip's transcript:
+                      ${text}
+                      Your response must be in JSON format: ${JSON.stringify(queryResponse)}. Return the object directly.`
+        }
+    ];
+
+    try {
+        const args = await askForJson('moderation', messages, {
+            suitable: [isBoolean, "true or false"]
+        }, llmOptions);
+        return args.suitable ? null : `Failed moderation: ${args.reason || 'no reason given'}`;
+    } catch (error) {
+        // Err on the side of leaving the clip out.
+        if (error.code === 'INVALID_LLM_RESPONSE') return "Moderation check gave no valid answer";
+        console.error("Error moderating transcript:", error);
+        throw error;
+    }
+};
+
+const createTransition = async (queryTerm, previousClip, clip, llmOptions) => {
+    // const previousTitle = previousClip.snippet.title || 'Unknown Title';
+    // const previousChannel = previousClip.snippet.channelTitle || 'Unknown Channel';
+    // const previousDescription = previousClip.snippet.description || 'No description available';
 
     const queryResponse = { transition_text: "The transition text between the two clips." };
 
@@ -328,8 +1694,9 @@ const createTransition = async (queryTerm, previousClip, clip) => {
         }
     ];
     try {
-        const response = await openai.chat.completions.create({ model: "gpt-4o", messages, response_format: { type: "json_object" } });
-        const args = JSON.parse(response.choices[0].message.content);
+        const args = await askForJson('transition', messages, {
+            transition_text: [isNonEmptyString, "the transition text"]
+        }, llmOptions);
         return args.transition_text;
     } catch (error) {
         console.error("Error creating transition:", error);
@@ -337,7 +1704,44 @@ const createTransition = async (queryTerm, previousClip, clip) => {
     }
 };
 
-const getShowOutline = async (queryTerm) => {
+const describeHosts = (hosts) => {
+    return hosts.map(host => host.personality ? `${host.name} (${host.personality})` : host.name).join(', ');
+};
+
+const dialogueResponse = (hosts) => ({
+    dialogue: hosts.map(host => ({ speaker: host.name, text: `What ${host.name} says.` }))
+});
+
+const createTransitionDialogue = async (queryTerm, clip, hosts, llmOptions) => {
+    const queryResponse = dialogueResponse(hosts);
+
+    const messages = [
+        {
+            role: "user",
+            content: `You are in charge of creating a clip show using podcast clips.
+                      The main topic of the show is "${queryTerm}". The previous clip that was chosen has just ended.
+                      The show is presented by these hosts: ${describeHosts(hosts)}.
+                      You have chosen the following clip to include next in the show:
+                      ${clip.snippet.title} (by ${clip.snippet.channelTitle}) - ${clip.snippet.description}.
+                      Your task is as follows: you must write a brief conversation between the hosts that transitions into this next clip.
+                      Keep it to a few short lines, each spoken by one host, and stay in character for each host.
+                      The transition should flow well from any possible previous clip to the next clip. As such, do not worry about mentioning anything to do with the previous clip.
+                      Each line will be spoken by that host's voice actor.
+                      The response should be in JSON format with the structure: ${JSON.stringify(queryResponse)}. Return the object directly.`
+        }
+    ];
+    try {
+        const args = await askForJson('transition', messages, {
+            dialogue: [isDialogueFor(hosts.map(host => host.name)), "a non-empty list of lines, each with one of the host names as speaker and the spoken text"]
+        }, llmOptions);
+        return args.dialogue;
+    } catch (error) {
+        console.error("Error creating transition dialogue:", error);
+        throw error;
+    }
+};
+
+const getShowOutline = async (queryTerm, llmOptions, topicCount = NUM_CLIPS, previousEpisodes = []) => {
     const showOutline = {
         podcast_structure: {
             episode_name: "Episode Name here",
@@ -357,6 +1761,7 @@ const getShowOutline = async (queryTerm) => {
             content: `You are in charge of creating an episode of a podcast show using podcast clips.
                       The main topic of the show is "${queryTerm}". You must create the structure for the show so that the user can get the appropriate podcast clips to makeup the show.
                       The topic should be broad enough to allow for a variety of clips to be included.
+                      The show should cover ${topicCount} topics, each of which will get one clip.
                       Your response must be in JSON format with the structure: ${JSON.stringify(showOutline)}. Return the object directly.`
         },
         {
@@ -364,20 +1769,56 @@ const getShowOutline = async (queryTerm) => {
             content: `You are in charge of creating an episode of a podcast show using podcast clips.
                       The main topic of the show is "${queryTerm}". You must create the structure for the show so that the user can get the appropriate podcast clips to makeup the show.
                       The topic should be broad enough to allow for a variety of clips to be included.
+                      The show should cover ${topicCount} topics, each of which will get one clip.
                       Your response must be in JSON format with the structure: ${JSON.stringify(showOutline)}. Return the object directly.`
         }
     ];
+    if (previousEpisodes.length) {
+        messages.push({
+            role: "user",
+            content: `This episode is part of a series. The earlier episodes were:
+                      ${previousEpisodes.map(episode => `- "${episode.title}", covering: ${episode.topics.join('; ') || episode.description}`).join('\n')}
+                      Plan a follow-up episode that builds on these instead of covering the same topics again.`
+        });
+    }
 
     try {
-        const response = await openai.chat.completions.create({ model: "gpt-4o", messages, response_format: { type: "json_object" } });
-        return JSON.parse(response.choices[0].message.content);
+        return await askForJson('outline', messages, {
+            'podcast_structure.episode_name': [isNonEmptyString, "the episode name"],
+            'podcast_structure.episode_description': [isNonEmptyString, "the episode description"],
+            'podcast_structure.topics': [isStringList, "a non-empty list of topics"]
+        }, llmOptions);
     } catch (error) {
         console.error("Error getting show outline:", error);
         throw error;
     }
 };
 
-const introduceShow = async (queryTerm, clips) => {
+const getAdditionalTopics = async (queryTerm, existingTopics, topicCount, llmOptions) => {
+    const queryResponse = { topics: ["first new topic", "second new topic etc"] };
+
+    const messages = [
+        {
+            role: "user",
+            content: `You are in charge of creating an episode of a podcast show using podcast clips.
+                      The main topic of the show is "${queryTerm}". The episode already covers these topics: ${JSON.stringify(existingTopics)}.
+                      The episode is shorter than planned, so you must suggest ${topicCount} more topics that fit the show and don't repeat the existing ones.
+                      Your response must be in JSON format with the structure: ${JSON.stringify(queryResponse)}. Return the object directly.`
+        }
+    ];
+
+    try {
+        const args = await askForJson('extraTopics', messages, {
+            topics: [isStringList, "a non-empty list of new topics"]
+        }, llmOptions);
+        return args.topics.slice(0, topicCount);
+    } catch (error) {
+        console.error("Error getting additional topics:", error);
+        throw error;
+    }
+};
+
+const introduceShow = async (queryTerm, clips, llmOptions) => {
     const queryResponse = { introduction_text: "The introduction text for the show." };
 
     const clipDescriptions = clips.map(clip => `${clip.snippet.title} (by ${clip.snippet.channelTitle}) - ${clip.snippet.description}`).join(", ");
@@ -398,8 +1839,9 @@ const introduceShow = async (queryTerm, clips) => {
     ];
 
     try {
-        const response = await openai.chat.completions.create({ model: "gpt-4o", messages, response_format: { type: "json_object" } });
-        const args = JSON.parse(response.choices[0].message.content);
+        const args = await askForJson('intro', messages, {
+            introduction_text: [isNonEmptyString, "the introduction text"]
+        }, llmOptions);
         return args.introduction_text;
     } catch (error) {
         console.error("Error introducing show:", error);
@@ -407,177 +1849,2149 @@ const introduceShow = async (queryTerm, clips) => {
     }
 };
 
-const generateFileList = (numClips) => {
-    const fileList = fs.createWriteStream('concat_list.txt');
-    if (fs.existsSync('intro.mp3')) {
+const introduceShowDialogue = async (queryTerm, clips, hosts, llmOptions) => {
+    const queryResponse = dialogueResponse(hosts);
+
+    const clipDescriptions = clips.map(clip => `${clip.snippet.title} (by ${clip.snippet.channelTitle}) - ${clip.snippet.description}`).join(", ");
+
+    const messages = [
+        {
+            role: "user",
+            content: `You are in charge of creating a clip show using podcast clips.
+                      The main topic of the show is "${queryTerm}".
+                      The show is presented by these hosts: ${describeHosts(hosts)}.
+                      Your task is as follows: you must write a short conversation in which the hosts introduce themselves and the show to the audience.
+                      Keep it to a few short lines, each spoken by one host, and stay in character for each host.
+                      Each line will be spoken by that host's voice actor.
+                      The clips that will be included in the show are as follows (and in this order). Just use this as a guideline for your intro, you do not need to exactly quote them:
+                      ${clipDescriptions}
+                      The response must be in JSON format with the structure: ${JSON.stringify(queryResponse)}. Return the object directly.`
+        }
+    ];
+
+    try {
+        const args = await askForJson('intro', messages, {
+            dialogue: [isDialogueFor(hosts.map(host => host.name)), "a non-empty list of lines, each with one of the host names as speaker and the spoken text"]
+        }, llmOptions);
+        return args.dialogue;
+    } catch (error) {
+        console.error("Error introducing show dialogue:", error);
+        throw error;
+    }
+};
+
+// Intros and transitions are scripts: lists of { speaker, text } lines. Single-voice
+// shows produce one line with no speaker.
+const writeIntroScript = async (queryTerm, clips, settings) => {
+    if (settings.hosts?.length) return introduceShowDialogue(queryTerm, clips, settings.hosts, settings.llm);
+    return [{ speaker: null, text: await introduceShow(queryTerm, clips, settings.llm) }];
+};
+
+const writeTransitionScript = async (queryTerm, previousClip, clip, settings) => {
+    if (settings.hosts?.length) return createTransitionDialogue(queryTerm, clip, settings.hosts, settings.llm);
+    return [{ speaker: null, text: await createTransition(queryTerm, previousClip, clip, settings.llm) }];
+};
+
+// Renders each line with its speaker's voice and stitches the lines into fileName.
+const getAudioForScript = async (workDir, fileName, script, settings) => {
+    const hosts = settings.hosts || [];
+    const voiceFor = (speaker) => ({ ...settings.tts, ...(hosts.find(host => host.name === speaker)?.tts || {}) });
+
+    // Line durations are kept on the script so the episode transcript can be timed.
+    if (script.length === 1) {
+        const filePath = await getAudioForWords(workDir, fileName, script[0].text, voiceFor(script[0].speaker));
+        script[0].duration = await getAudioLength(filePath);
+        return filePath;
+    }
+
+    const baseName = path.basename(fileName, '.mp3');
+    const linePaths = [];
+    for (let n = 0; n < script.length; n++) {
+        const linePath = await getAudioForWords(workDir, `${baseName}_line_${n}.mp3`, script[n].text, voiceFor(script[n].speaker));
+        script[n].duration = await getAudioLength(linePath);
+        linePaths.push(linePath);
+    }
+    const outputPath = path.join(workDir, fileName);
+    await stitchMp3Files(linePaths, outputPath);
+    return outputPath;
+};
+
+const generateFileList = (workDir, numClips) => {
+    const inWorkDir = (fileName) => path.join(workDir, fileName);
+    const fileList = fs.createWriteStream(inWorkDir('concat_list.txt'));
+    if (fs.existsSync(inWorkDir('intro.mp3'))) {
         fileList.write("file 'intro.mp3'\n");
     }
     for (let i = 0; i < numClips; i++) {
-        if (fs.existsSync(`transition_${i}.mp3`)) {
+        if (fs.existsSync(inWorkDir(`transition_${i}.mp3`))) {
             if (i > 0) {
                 fileList.write(`file 'transition_${i}.mp3'\n`);
             }
         }
-        if (fs.existsSync(`clip_${i}.mp3`)) {
+        if (fs.existsSync(inWorkDir(`clip_${i}.mp3`))) {
             fileList.write(`file 'clip_${i}.mp3'\n`);
         }
     }
-    if (fs.existsSync(`transition_${numClips}.mp3`)) {
+    if (fs.existsSync(inWorkDir(`transition_${numClips}.mp3`))) {
         fileList.write(`file 'transition_${numClips}.mp3'\n`);
     }
     fileList.end();
 };
 
-const concatMp3Files = (numClips) => {
-    generateFileList(numClips);
+const concatMp3Files = async (workDir, numClips, mixOptions = {}) => {
+    generateFileList(workDir, numClips);
 
-    const cmd = ['ffmpeg'];
-    const inputs = [];
-    if (fs.existsSync('intro.mp3')) {
-        inputs.push('intro.mp3');
+    const inWorkDir = (fileName) => path.join(workDir, fileName);
+    const segments = [];
+    if (fs.existsSync(inWorkDir('intro.mp3'))) {
+        segments.push({ path: inWorkDir('intro.mp3'), type: 'intro' });
     }
     for (let i = 0; i < numClips; i++) {
-        if (fs.existsSync(`transition_${i}.mp3`)) {
+        if (fs.existsSync(inWorkDir(`transition_${i}.mp3`))) {
             if (i === 0) {
-                inputs.push(`clip_${i}.mp3`);
+                segments.push({ path: inWorkDir(`clip_${i}.mp3`), type: 'clip', index: i });
             } else {
-                inputs.push(`transition_${i}.mp3`);
-                inputs.push(`clip_${i}.mp3`);
+                segments.push({ path: inWorkDir(`transition_${i}.mp3`), type: 'transition', index: i });
+                segments.push({ path: inWorkDir(`clip_${i}.mp3`), type: 'clip', index: i });
             }
         }
     }
-
-    for (const inputFile of inputs) {
-        cmd.push('-i', inputFile);
+    for (const segment of segments) {
+        segment.length = await getAudioLength(segment.path);
     }
 
-    const filterComplexStr = inputs.map((_, i) => `[${i}:a]`).join('') + `concat=n=${inputs.length}:v=0:a=1[out]`;
+    const mix = { ...DEFAULT_MIX, ...mixOptions };
+    const args = [];
+    for (const segment of segments) {
+        args.push('-i', segment.path);
+    }
+    let musicInputIndex = null;
+    if (mix.music) {
+        const musicPath = await downloadFile(mix.music, inWorkDir(`music${path.extname(new URL(mix.music).pathname)}`));
+        musicInputIndex = segments.length;
+        args.push('-stream_loop', '-1', '-i', musicPath);
+    }
 
-    cmd.push('-filter_complex', filterComplexStr, '-map', '[out]', 'output.mp3');
+    args.push('-filter_complex', buildMixFilter(segments, mix, musicInputIndex), '-map', '[out]', inWorkDir('output.mp3'));
+    await runCommand('ffmpeg', args);
 
-    execFileSync('ffmpeg', cmd.slice(1), { stdio: 'inherit' });
+    // Where each segment ended up in output.mp3; crossfades pull every segment back by the overlap.
+    const overlap = mix.crossfade > 0 && segments.length > 1 ? mix.crossfade : 0;
+    let position = 0;
+    for (const segment of segments) {
+        segment.start = position;
+        segment.end = position + segment.length;
+        position = segment.end - overlap;
+    }
+    return segments;
 };
 
-const cleanUp = () => {
-    const filePatterns = ['transition_*.mp3', 'clip_*.mp3', 'concat_list.txt', 'topics.txt', 'video_list.txt', 'output.mp3', 'intro.mp3'];
-    for (const pattern of filePatterns) {
-        const files = glob.sync(pattern);
-        for (const file of files) {
-            try {
-                fs.unlinkSync(file);
-            } catch (e) {
-                console.error(`Error deleting file ${file}:`, e.message);
-            }
+// One chapter for the intro and one per clip. A clip's chapter starts at the transition
+// that introduces it.
+const buildChapters = (timeline, topicStates) => {
+    const chapters = [];
+    let transitionStart = null;
+    for (const segment of timeline) {
+        if (segment.type === 'intro') {
+            chapters.push({ start: segment.start, end: segment.end, title: "Introduction" });
+        } else if (segment.type === 'transition') {
+            transitionStart = segment.start;
+        } else {
+            const { video, start_time: sourceStart } = topicStates[segment.index].clip;
+            chapters.push({
+                start: transitionStart ?? segment.start,
+                end: segment.end,
+                title: `${video.snippet.title} (${video.snippet.channelTitle})`,
+                url: getSourceAdapter(video).getUrl(video, sourceStart || 0)
+            });
+            transitionStart = null;
         }
     }
-};
-
-const convertStringToFloat = (str) => {
-    if (str == "N/A") return 0;
-    const floatNumber = parseFloat(str);
-    if (isNaN(floatNumber)) {
-        throw new Error(`Cannot convert ${str} to a number`);
+    for (let i = 0; i < chapters.length - 1; i++) {
+        chapters[i].end = chapters[i + 1].start;
     }
-    return floatNumber;
+    return chapters;
 };
 
-app.post('/create_episode', async (req, res) => {
-    cleanUp();
-
-    const { query, episodeLength } = req.body.req;
-    console.log(`Creating episode for ${query} with requested length of ${Math.floor(episodeLength / 60)} mins.`);
-    const seenClips = [];
-    let totalLength = 0;
+// Podcasting 2.0 JSON chapters: https://github.com/Podcastindex-org/podcast-namespace/blob/main/chapters/jsonChapters.md
+const writeChaptersJson = (workDir, chapters) => {
+    const filePath = path.join(workDir, 'chapters.json');
+    const json = {
+        version: '1.2.0',
+        chapters: chapters.map(chapter => ({
+            startTime: Number(chapter.start.toFixed(3)),
+            endTime: Number(chapter.end.toFixed(3)),
+            title: chapter.title,
+            ...(chapter.url ? { url: chapter.url } : {})
+        }))
+    };
+    fs.writeFileSync(filePath, JSON.stringify(json, null, 2));
+    return filePath;
+};
 
-    try {
-        const outline = await getShowOutline(query);
-        const { topics, episode_name: episodeTitle, episode_description: episodeDescription } = outline.podcast_structure;
-        const episodeId = await addEpisodeToDb(episodeTitle, episodeDescription, 0);
-        let previousClip = { snippet: { title: "Introduction", description: "Introduction to the podcast show", channelTitle: "N/A" } };
+const escapeFfmetadata = (value) => String(value).replace(/[=;#\\\n]/g, match => `\\${match}`);
+
+// Writes ID3v2 tags, cover art and CHAP/CTOC chapter frames into output.mp3 in place and
+// returns the path of the downloaded cover, if there is one.
+const tagEpisodeAudio = async (workDir, tags, chapters) => {
+    const inWorkDir = (fileName) => path.join(workDir, fileName);
+    const lines = [
+        ';FFMETADATA1',
+        `title=${escapeFfmetadata(tags.title)}`,
+        `artist=${escapeFfmetadata(tags.artist)}`,
+        `album=${escapeFfmetadata(tags.album)}`,
+        'genre=Podcast'
+    ];
+    for (const chapter of chapters) {
+        lines.push(
+            '[CHAPTER]',
+            'TIMEBASE=1/1000',
+            `START=${Math.round(chapter.start * 1000)}`,
+            `END=${Math.round(chapter.end * 1000)}`,
+            `title=${escapeFfmetadata(chapter.title)}`
+        );
+    }
+    fs.writeFileSync(inWorkDir('metadata.txt'), lines.join('\n') + '\n');
 
-        const introText = await introduceShow(query, seenClips);
-        await getAudioForWords('intro.mp3', introText);
-        const introUrl = await uploadToSupabase('intro.mp3');
-        console.log("Uploaded intro to supabase");
-        const introLength = await getAudioLength('intro.mp3');
-        let floatIntroLength = convertStringToFloat(introLength);
-        await updateClipInDb(episodeId, 0, introUrl, floatIntroLength, "Intro", "Introduction transition to the episode", 'intro');
+    const args = ['-i', inWorkDir('output.mp3'), '-i', inWorkDir('metadata.txt')];
+    let coverPath = null;
+    if (tags.artwork) {
+        coverPath = await downloadFile(tags.artwork, inWorkDir(`cover${path.extname(new URL(tags.artwork).pathname) || '.jpg'}`));
+        args.push('-i', coverPath);
+    }
+    args.push('-map', '0:a', '-map_metadata', '1', '-map_chapters', '1');
+    if (tags.artwork) {
+        args.push('-map', '2:v', '-c:v', 'copy', '-disposition:v', 'attached_pic',
+            '-metadata:s:v', 'title=Album cover', '-metadata:s:v', 'comment=Cover (front)');
+    }
+    args.push('-c:a', 'copy', '-id3v2_version', '3', inWorkDir('tagged.mp3'));
 
-        const targetAvgClipLength = episodeLength / topics.length;
-        fs.writeFileSync('topics.txt', JSON.stringify(topics));
+    await runCommand('ffmpeg', args);
+    fs.renameSync(inWorkDir('tagged.mp3'), inWorkDir('output.mp3'));
+    return coverPath;
+};
 
-        for (let i = 0; i < topics.length; i++) {
-            const searchQueries = await getYoutubeSearchQueries(topics[i]);
-            let allVideos = [];
+// A square cover with the episode title on a plain background, for episodes without artwork.
+const generateCover = async (workDir, title, outputs) => {
+    const lines = [];
+    for (const word of title.split(/\s+/)) {
+        if (lines.length && `${lines.at(-1)} ${word}`.length <= 24) {
+            lines[lines.length - 1] += ` ${word}`;
+        } else {
+            lines.push(word);
+        }
+    }
+    fs.writeFileSync(path.join(workDir, 'cover_title.txt'), lines.join('\n'));
+
+    const size = outputs.videoSize;
+    await runCommand('ffmpeg', [
+        '-y', '-f', 'lavfi', '-i', `color=c=${outputs.background}:s=${size}x${size}`,
+        '-vf', `drawtext=textfile=cover_title.txt:expansion=none:fontcolor=white:fontsize=${Math.round(size / 14)}:line_spacing=${Math.round(size / 60)}:x=(w-text_w)/2:y=(h-text_h)/4`,
+        '-frames:v', '1', 'cover_generated.png'
+    ], { cwd: workDir });
+    return 'cover_generated.png';
+};
+
+// Renders part of output.mp3 as a video of the cover with a waveform across the middle and
+// the captions burned in. File names are relative to the work directory.
+const renderAudiogram = async (workDir, { coverFile, captionsFile, outputFile, start = 0, length = null }, outputs) => {
+    const size = outputs.videoSize;
+    let video = '[cover][waves]overlay=0:(H-h)/2:shortest=1';
+    if (captionsFile) {
+        video += `,subtitles=${captionsFile}:force_style='FontSize=14,Outline=1,MarginV=24'`;
+    }
+    const filters = [
+        `[0:v]scale=${size}:${size}:force_original_aspect_ratio=increase,crop=${size}:${size},setsar=1[cover]`,
+        `[1:a]showwaves=s=${size}x${Math.round(size / 4)}:mode=cline:rate=25:colors=white[waves]`,
+        `${video}[video]`
+    ];
+
+    const args = ['-y', '-loop', '1', '-framerate', '25', '-i', coverFile, '-ss', String(start)];
+    if (length) args.push('-t', String(length));
+    args.push('-i', 'output.mp3', '-filter_complex', filters.join(';'), '-map', '[video]', '-map', '1:a',
+        '-c:v', 'libx264', '-tune', 'stillimage', '-pix_fmt', 'yuv420p', '-c:a', 'aac', '-b:a', '128k',
+        '-shortest', '-movflags', '+faststart', outputFile);
+    await runCommand('ffmpeg', args, { cwd: workDir });
+    return path.join(workDir, outputFile);
+};
 
-            for (const query of searchQueries) {
-                const videos = await searchYoutube(query);
-                allVideos = allVideos.concat(videos);
+// Cues that overlap [start, end), moved so the highlight starts at zero.
+const getHighlightCues = (cues, start, end) => cues
+    .filter(cue => cue.end > start && cue.start < end)
+    .map(cue => ({ ...cue, start: Math.max(cue.start, start) - start, end: Math.min(cue.end, end) - start }));
+
+// Encodes and uploads the formats asked for in settings.outputs alongside output.mp3 and
+// returns their URLs. Expects transcript.srt to have been written already.
+const renderOutputs = async (workDir, outputOptions, { title, coverPath, cues, timeline, topicStates }) => {
+    const outputs = { ...DEFAULT_OUTPUTS, ...outputOptions };
+    const inWorkDir = (fileName) => path.join(workDir, fileName);
+    const urls = {};
+
+    if (outputs.m4a) {
+        await runCommand('ffmpeg', ['-y', '-i', 'output.mp3', '-map', '0:a', '-c:a', 'aac', '-b:a', outputs.m4a,
+            '-movflags', '+faststart', 'output.m4a'], { cwd: workDir });
+        urls.m4a = await uploadFile(inWorkDir('output.m4a'));
+    }
+    if (outputs.opus) {
+        await runCommand('ffmpeg', ['-y', '-i', 'output.mp3', '-map', '0:a', '-c:a', 'libopus', '-b:a', outputs.opus,
+            'output.opus'], { cwd: workDir });
+        urls.opus = await uploadFile(inWorkDir('output.opus'));
+    }
+    if (outputs.hls) {
+        // Run from inside the directory so the playlist refers to its segments by relative name.
+        fs.mkdirSync(inWorkDir('hls'), { recursive: true });
+        await runCommand('ffmpeg', ['-y', '-i', path.join('..', 'output.mp3'), '-map', '0:a', '-c:a', 'aac', '-b:a', outputs.hls,
+            '-f', 'hls', '-hls_time', String(outputs.hlsSegmentLength), '-hls_playlist_type', 'vod',
+            '-hls_segment_filename', 'segment_%03d.ts', 'index.m3u8'], { cwd: inWorkDir('hls') });
+        urls.hls = await uploadDirectory(inWorkDir('hls'), 'index.m3u8');
+    }
+
+    if (!outputs.audiogram && !outputs.highlights) return urls;
+    const coverFile = coverPath ? path.basename(coverPath) : await generateCover(workDir, title, outputs);
+    if (outputs.audiogram) {
+        urls.audiogram = await uploadFile(await renderAudiogram(workDir, {
+            coverFile,
+            captionsFile: cues.length ? 'transcript.srt' : null,
+            outputFile: 'audiogram.mp4'
+        }, outputs));
+    }
+    if (outputs.highlights) {
+        urls.highlights = [];
+        for (const segment of timeline.filter(segment => segment.type === 'clip')) {
+            const end = Math.min(segment.start + outputs.highlightLength, segment.end);
+            const highlightCues = getHighlightCues(cues, segment.start, end);
+            const captionsFile = highlightCues.length ? `highlight_${segment.index}.srt` : null;
+            if (captionsFile) fs.writeFileSync(inWorkDir(captionsFile), formatSrt(highlightCues));
+            const url = await uploadFile(await renderAudiogram(workDir, {
+                coverFile,
+                captionsFile,
+                outputFile: `highlight_${segment.index}.mp4`,
+                start: segment.start,
+                length: end - segment.start
+            }, outputs));
+            const { video } = topicStates[segment.index].clip;
+            urls.highlights.push({ index: segment.index, title: video.snippet.title, start: segment.start, length: end - segment.start, url });
+        }
+    }
+    return urls;
+};
+
+const decodeCaptionText = (text = '') => {
+    return text
+        .replace(/&amp;/g, '&')
+        .replace(/&#39;/g, "'")
+        .replace(/&quot;/g, '"')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/\s+/g, ' ')
+        .trim();
+};
+
+// Spreads a script across [start, end]. Lines use their rendered duration where we have
+// it, and each line is split into sentences timed by their share of the characters.
+const scriptToCues = (script, start, end) => {
+    const cues = [];
+    const knownDuration = script.reduce((total, line) => total + (line.duration || 0), 0);
+    const totalCharacters = script.reduce((total, line) => total + line.text.length, 0) || 1;
+    let position = start;
+
+    for (const line of script) {
+        const lineDuration = knownDuration ? (line.duration || 0) : (end - start) * line.text.length / totalCharacters;
+        const sentences = line.text.match(/[^.!?]+[.!?]*/g)?.map(sentence => sentence.trim()).filter(Boolean) || [line.text];
+        const lineCharacters = sentences.reduce((total, sentence) => total + sentence.length, 0) || 1;
+        for (const sentence of sentences) {
+            const sentenceDuration = lineDuration * sentence.length / lineCharacters;
+            cues.push({ start: position, end: Math.min(position + sentenceDuration, end), speaker: line.speaker || 'Host', text: sentence });
+            position += sentenceDuration;
+        }
+    }
+    return cues;
+};
+
+// Older checkpoints stored intro and transition text rather than a script.
+const getSegmentScript = (segmentState) => segmentState.script || [{ speaker: null, text: segmentState.text || '' }];
+
+const buildTranscriptCues = (timeline, checkpoint) => {
+    const cues = [];
+    for (const segment of timeline) {
+        if (segment.type === 'intro') {
+            cues.push(...scriptToCues(getSegmentScript(checkpoint.intro), segment.start, segment.end));
+        } else if (segment.type === 'transition') {
+            cues.push(...scriptToCues(getSegmentScript(checkpoint.topic_states[segment.index].transition), segment.start, segment.end));
+        } else {
+            const { video, start_time: sourceStart = 0, captions = [] } = checkpoint.topic_states[segment.index].clip;
+            for (const caption of captions) {
+                const cueStart = Math.max(segment.start + caption.start - sourceStart, segment.start);
+                const cueEnd = Math.min(segment.start + caption.start - sourceStart + caption.duration, segment.end);
+                const text = decodeCaptionText(caption.text);
+                if (cueEnd <= cueStart || !text) continue;
+                cues.push({ start: cueStart, end: cueEnd, speaker: video.snippet.channelTitle, text });
             }
+        }
+    }
+    return cues;
+};
+
+const formatCueTime = (seconds, separator) => {
+    const milliseconds = Math.round(seconds * 1000);
+    const hours = Math.floor(milliseconds / 3600000);
+    const minutes = Math.floor(milliseconds % 3600000 / 60000);
+    const secs = Math.floor(milliseconds % 60000 / 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(milliseconds % 1000, 3)}`;
+};
+
+const formatSrt = (cues) => cues.flatMap((cue, i) => [
+    `${i + 1}`,
+    `${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}`,
+    `${cue.speaker}: ${cue.text}`,
+    ''
+]).join('\n');
+
+// Cue text and voice names are parsed as markup in WebVTT, so captions like "Q&A" or "a < b"
+// would otherwise break the cue.
+const escapeVttText = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const writeTranscriptFiles = (workDir, cues) => {
+    const vtt = ['WEBVTT', ''];
+    for (const cue of cues) {
+        vtt.push(`${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}`, `<v ${escapeVttText(cue.speaker)}>${escapeVttText(cue.text)}`, '');
+    }
 
-            const transcriptsWithInfo = [];
+    const vttPath = path.join(workDir, 'transcript.vtt');
+    const srtPath = path.join(workDir, 'transcript.srt');
+    fs.writeFileSync(vttPath, vtt.join('\n'));
+    fs.writeFileSync(srtPath, formatSrt(cues));
+    return { vttPath, srtPath };
+};
 
-            for (const video of allVideos) {
-                if (!video) continue;
-                const captions = await getYoutubeCaptions(video.id.videoId);
-                if (!captions.length) continue;
+const buildShowNotes = (episode, chapters, timeline, topicStates) => {
+    const lines = [episode.description || '', '', '## In this episode', ''];
+    for (const segment of timeline.filter(segment => segment.type === 'clip')) {
+        const { video, start_time: sourceStart = 0 } = topicStates[segment.index].clip;
+        const chapter = chapters.find(chapter => chapter.start <= segment.start && segment.start < chapter.end) || segment;
+        const sourceUrl = getSourceAdapter(video).getUrl(video, sourceStart);
+        lines.push(`- [${formatDuration(chapter.start)}] **${video.snippet.title}** by ${video.snippet.channelTitle}${sourceUrl ? `: ${sourceUrl}` : ''}`);
+    }
+    lines.push('', 'All clips are credited to their original creators. Follow the links above for the full originals.');
+    return lines.join('\n');
+};
 
-                const transcript = captions.map(caption => `${caption.start}: ${caption.text}`).join('\n');
-                const [startTime, endTime, reason] = await extractBestPartOfTranscript(transcript, topics[i], query, targetAvgClipLength);
-                if (!startTime || !endTime) continue;
-                const clippedTranscript = transcript.split('\n').slice(startTime, endTime);
+// Normalizes every segment to the target loudness, fades clips in and out, ducks the
+// music bed under the spoken segments and then crossfades (or concats) the lot into [out].
+const buildMixFilter = (segments, mix, musicInputIndex) => {
+    const filters = [];
+    const labels = [];
+
+    segments.forEach((segment, i) => {
+        const chain = [`loudnorm=I=${mix.targetLufs}:TP=-1.5:LRA=11`, 'aresample=44100', 'aformat=sample_fmts=fltp:channel_layouts=stereo'];
+        if (segment.type === 'clip' && mix.clipFade > 0) {
+            chain.push(`afade=t=in:st=0:d=${mix.clipFade}`);
+            chain.push(`afade=t=out:st=${Math.max(segment.length - mix.clipFade, 0)}:d=${mix.clipFade}`);
+        }
+        filters.push(`[${i}:a]${chain.join(',')}[seg${i}]`);
+        labels.push(`seg${i}`);
+    });
 
-                transcriptsWithInfo.push({
-                    transcript: clippedTranscript,
-                    start_time: startTime,
-                    end_time: endTime,
-                    video: video
-                });
+    const spokenIndexes = segments.map((segment, i) => i).filter(i => segments[i].type !== 'clip');
+    if (musicInputIndex !== null && spokenIndexes.length) {
+        const musicLabels = spokenIndexes.map(i => `[music${i}]`).join('');
+        filters.push(`[${musicInputIndex}:a]aresample=44100,aformat=sample_fmts=fltp:channel_layouts=stereo,volume=${mix.musicVolume},asplit=${spokenIndexes.length}${musicLabels}`);
+        for (const i of spokenIndexes) {
+            filters.push(`[music${i}]atrim=0:${segments[i].length},asetpts=PTS-STARTPTS[bed${i}]`);
+            filters.push(`[seg${i}]asplit=2[voice${i}][key${i}]`);
+            filters.push(`[bed${i}][key${i}]sidechaincompress=threshold=0.03:ratio=6:attack=20:release=400[ducked${i}]`);
+            filters.push(`[voice${i}][ducked${i}]amix=inputs=2:duration=first:normalize=0[bedded${i}]`);
+            labels[i] = `bedded${i}`;
+        }
+    }
+
+    if (mix.crossfade > 0 && labels.length > 1) {
+        let previous = labels[0];
+        for (let i = 1; i < labels.length; i++) {
+            const next = i === labels.length - 1 ? 'out' : `xfade${i}`;
+            filters.push(`[${previous}][${labels[i]}]acrossfade=d=${mix.crossfade}[${next}]`);
+            previous = next;
+        }
+    } else {
+        filters.push(labels.map(label => `[${label}]`).join('') + `concat=n=${labels.length}:v=0:a=1[out]`);
+    }
+
+    return filters.join(';');
+};
+
+const stitchMp3Files = async (inputs, outputPath) => {
+    const args = [];
+    for (const inputFile of inputs) {
+        args.push('-i', inputFile);
+    }
+
+    const filterComplexStr = inputs.map((_, i) => `[${i}:a]`).join('') + `concat=n=${inputs.length}:v=0:a=1[out]`;
+
+    args.push('-filter_complex', filterComplexStr, '-map', '[out]', outputPath);
+
+    await runCommand('ffmpeg', args);
+};
+
+// Every build gets its own directory so concurrent builds never see each other's files.
+const createWorkspace = (jobId) => {
+    return fs.mkdtempSync(path.join(WORKSPACE_ROOT, `podcast-${jobId}-`));
+};
+
+const cleanUp = (workDir) => {
+    try {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    } catch (e) {
+        console.error(`Error deleting workspace ${workDir}:`, e.message);
+    }
+};
+
+const convertStringToFloat = (str) => {
+    if (str == "N/A") return 0;
+    const floatNumber = parseFloat(str);
+    if (isNaN(floatNumber)) {
+        throw new Error(`Cannot convert ${str} to a number`);
+    }
+    return floatNumber;
+};
+
+// Webhooks. Receivers are registered globally in the webhooks table or passed with a request,
+// and get a signed JSON POST for each lifecycle event they subscribe to (all of them when
+// events is empty). Every delivery is logged in webhook_deliveries along with its attempts.
+const isWebhookUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+};
+
+const getWebhookProblem = (webhook) => {
+    if (!isWebhookUrl(webhook?.url)) return "Every webhook needs an http or https url";
+    if (webhook.events !== undefined && !(Array.isArray(webhook.events) && webhook.events.every(event => WEBHOOK_EVENTS.includes(event)))) {
+        return `Webhook events must be a list of: ${WEBHOOK_EVENTS.join(', ')}`;
+    }
+    if (webhook.secret !== undefined && !isNonEmptyString(webhook.secret)) return "A webhook secret must be a non-empty string";
+    return null;
+};
+
+// Webhooks sent with a request. They're kept on the job so retries and resumes can still sign.
+const parseWebhooks = (webhooks) => {
+    if (webhooks === undefined) return { webhooks: [] };
+    if (!Array.isArray(webhooks)) return { error: "webhooks must be a list" };
+    const problem = webhooks.map(getWebhookProblem).find(Boolean);
+    if (problem) return { error: problem };
+    if (!WEBHOOK_SECRET && webhooks.some(webhook => !webhook.secret)) {
+        return { error: "Every webhook needs a secret unless WEBHOOK_SECRET is set" };
+    }
+    return { webhooks: webhooks.map(({ url, events = [], secret = null }) => ({ url, events, secret })) };
+};
+
+// The signature is an HMAC-SHA256 of "<timestamp>.<body>", so receivers can reject old replays.
+const signWebhookPayload = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const sendWebhook = async (delivery, secret) => {
+    if (!secret) throw new Error("No secret to sign the webhook with");
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const response = await axios.post(delivery.url, body, {
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Webhook-Id': delivery.event_id,
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': `sha256=${signWebhookPayload(secret, timestamp, body)}`
+        },
+        timeout: WEBHOOK_TIMEOUT,
+        maxRedirects: 0
+    });
+    return response.status;
+};
+
+const saveDelivery = async (delivery) => {
+    delivery.updated_at = new Date().toISOString();
+    try {
+        await metadata.upsert('webhook_deliveries', delivery);
+    } catch (error) {
+        // The delivery itself carries on without its log entry.
+        console.error(`Error saving webhook delivery ${delivery.id}:`, error);
+    }
+};
+
+// Retries anything but a 2xx with exponential backoff until WEBHOOK_MAX_ATTEMPTS is reached.
+const deliverWebhook = async (delivery, secret) => {
+    while (delivery.status === 'pending') {
+        delivery.attempts++;
+        try {
+            delivery.response_status = await SERVICE_LIMITERS.webhooks.schedule(() => sendWebhook(delivery, secret));
+            delivery.status = 'delivered';
+            delivery.error = null;
+        } catch (error) {
+            delivery.response_status = getErrorStatus(error);
+            delivery.error = error.message || String(error);
+            if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) delivery.status = 'failed';
+        }
+        await saveDelivery(delivery);
+
+        if (delivery.status === 'pending') {
+            const delay = WEBHOOK_RETRY_BASE_DELAY * 2 ** (delivery.attempts - 1);
+            console.log(`Webhook ${delivery.event} to ${delivery.url} failed (${delivery.response_status || delivery.error}), retrying in ${delay}ms`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+    return delivery;
+};
+
+const buildEvent = (type, data) => ({ id: uuid(), type, created_at: new Date().toISOString(), data });
+
+// Logs a delivery of the event to each webhook and sends them in the background, so a slow or
+// failing receiver never holds up a build.
+const queueDeliveries = async (webhooks, event, jobId = null) => {
+    const deliveries = [];
+    for (const webhook of webhooks) {
+        const delivery = {
+            id: uuid(),
+            event_id: event.id,
+            event: event.type,
+            webhook_id: webhook.id || null,
+            url: webhook.url,
+            job_id: jobId,
+            episode_id: event.data.episode_id || null,
+            payload: event,
+            status: 'pending',
+            attempts: 0,
+            response_status: null,
+            error: null,
+            created_at: event.created_at
+        };
+        await saveDelivery(delivery);
+        deliverWebhook(delivery, webhook.secret || WEBHOOK_SECRET)
+            .catch(error => console.error(`Error delivering webhook ${delivery.id}:`, error));
+        deliveries.push(delivery);
+    }
+    return deliveries;
+};
+
+const emitJobEvent = async (job, type, data = {}) => {
+    try {
+        const registered = await metadata.find('webhooks');
+        const webhooks = [...registered, ...(job.params.webhooks || [])]
+            .filter(webhook => !webhook.events?.length || webhook.events.includes(type));
+        if (!webhooks.length) return;
+        await queueDeliveries(webhooks, buildEvent(type, { job_id: job.id, episode_id: job.episode_id, ...data }), job.id);
+    } catch (error) {
+        // Notifications are best effort; they never fail the job.
+        console.error(`Error sending ${type} event for job ${job.id}:`, error);
+    }
+};
+
+// Finds the secret a logged delivery was signed with, or null if its webhook has gone.
+const getDeliverySecret = async (delivery) => {
+    if (delivery.webhook_id) {
+        return (await metadata.findOne('webhooks', { id: delivery.webhook_id }))?.secret || null;
+    }
+    const job = delivery.job_id ? await getJob(delivery.job_id) : null;
+    return job?.params.webhooks?.find(webhook => webhook.url === delivery.url)?.secret || WEBHOOK_SECRET || null;
+};
+
+// Carries on with deliveries a previous process was still retrying.
+const recoverWebhookDeliveries = async () => {
+    const deliveries = await metadata.find('webhook_deliveries', { status: 'pending' }, { orderBy: 'created_at' });
+    for (const delivery of deliveries) {
+        const secret = await getDeliverySecret(delivery);
+        if (!secret) {
+            Object.assign(delivery, { status: 'failed', error: "Webhook no longer exists" });
+            await saveDelivery(delivery);
+            continue;
+        }
+        deliverWebhook(delivery, secret).catch(error => console.error(`Error delivering webhook ${delivery.id}:`, error));
+    }
+    console.log(`Recovered ${deliveries.length} pending webhook deliveries`);
+};
+
+const describeClip = (clip) => ({
+    video_id: clip.video.id.videoId,
+    title: clip.video.snippet.title,
+    channel: clip.video.snippet.channelTitle,
+    url: getSourceAdapter(clip.video).getUrl(clip.video, clip.start_time || 0),
+    start_time: clip.start_time,
+    end_time: clip.end_time,
+    length: clip.length
+});
+
+const JOB_STAGE_PROGRESS = {
+    queued: 0,
+    outline: 2,
+    intro: 5,
+    topic: 10,
+    transition: 10,
+    concat: 85,
+    upload: 90,
+    outputs: 95,
+    completed: 100
+};
+
+// Stages that happen once per topic and report which topic is being worked on.
+const TOPIC_STAGES = ['topic', 'transition'];
+
+const jobQueue = [];
+let activeJobs = 0;
+
+const saveJob = async (job) => {
+    job.updated_at = new Date().toISOString();
+    await metadata.upsert('jobs', job);
+};
+
+const getJob = (jobId) => metadata.findOne('jobs', { id: jobId });
+
+const updateJobStage = async (job, stage, topicIndex = null, topicCount = null) => {
+    let progress = JOB_STAGE_PROGRESS[stage];
+    if (TOPIC_STAGES.includes(stage) && topicCount) {
+        const topicSpan = JOB_STAGE_PROGRESS.concat - JOB_STAGE_PROGRESS.topic;
+        const topicOffset = stage === 'transition' ? 0.5 : 0;
+        progress += Math.floor(topicSpan * (topicIndex + topicOffset) / topicCount);
+    }
+
+    Object.assign(job, { stage, progress, topic_index: topicIndex, topic_count: topicCount });
+    if (TOPIC_STAGES.includes(stage)) {
+        console.log(`Job ${job.id}: ${stage} for topic ${topicIndex + 1} of ${topicCount}`);
+    } else {
+        console.log(`Job ${job.id}: ${stage}`);
+    }
+
+    try {
+        await saveJob(job);
+    } catch (error) {
+        // A failed status write shouldn't abort the build itself.
+        console.error(`Error saving job ${job.id}:`, error);
+    }
+};
+
+const buildEpisode = async (job) => {
+    const workDir = createWorkspace(job.id);
+    try {
+        return await buildEpisodeInWorkspace(job, workDir);
+    } finally {
+        cleanUp(workDir);
+    }
+};
+
+const planTopicCount = (episodeLength, durationOptions = {}) => {
+    const { idealClipLength, transitionEstimate } = { ...DEFAULT_DURATION, ...durationOptions };
+    return Math.min(Math.max(Math.round(episodeLength / (idealClipLength + transitionEstimate)), 1), 12);
+};
+
+// Tracks how much of the requested episode length has been used as segments are produced.
+// Crossfades shorten the episode by the overlap at every join between segments.
+const createDurationPlanner = (targetLength, durationOptions = {}, overlap = 0) => {
+    const options = { ...DEFAULT_DURATION, ...durationOptions };
+    const toleranceSeconds = targetLength * options.tolerance;
+    const transitionLengths = [];
+    let usedLength = 0;
+    let segmentCount = 0;
+
+    const remaining = () => targetLength - usedLength;
+    const transitionEstimate = () => transitionLengths.length
+        ? transitionLengths.reduce((total, length) => total + length, 0) / transitionLengths.length
+        : options.transitionEstimate;
+
+    return {
+        remaining,
+        toleranceSeconds,
+        addSegment: (length, type) => {
+            usedLength += length - (segmentCount ? overlap : 0);
+            segmentCount++;
+            if (type === 'transition') transitionLengths.push(length);
+        },
+        removeSegment: (length) => {
+            segmentCount--;
+            usedLength -= length - (segmentCount ? overlap : 0);
+        },
+        shortenBy: (seconds) => {
+            usedLength -= seconds;
+        },
+        // What's left is shared between the remaining topics, each a transition plus a clip.
+        clipBudget: (remainingTopics) => {
+            const perTopic = remaining() / Math.max(remainingTopics, 1) - transitionEstimate() - overlap * 2;
+            return Math.min(Math.max(perTopic, options.minClipLength), options.maxClipLength);
+        },
+        hasRoomForClip: () => remaining() + toleranceSeconds >= options.minClipLength + transitionEstimate(),
+        isUnderLength: () => remaining() > toleranceSeconds + options.minClipLength + transitionEstimate(),
+        isOverLength: () => -remaining() > toleranceSeconds,
+        isWithinTolerance: (length) => Math.abs(length - targetLength) <= toleranceSeconds
+    };
+};
+
+// Why a topic ended up without a clip.
+const SKIPPED_FOR_LENGTH = 'Dropped to keep to the requested length';
+const SKIPPED_NO_CLIP = 'No suitable clip found';
+
+// Clips are fitted to their budgets one at a time, so together they can still run past the
+// requested length. Brings an over-long episode back to its target before it's mixed: the last
+// topics are dropped while shortening alone couldn't make up the difference, then clips are
+// shortened from the last one back, ending on a sentence where the captions have one.
+const trimClipsToLength = async (workDir, checkpoint, planner, durationOptions = {}) => {
+    const { minClipLength } = { ...DEFAULT_DURATION, ...durationOptions };
+    const clipIndexes = checkpoint.topics.map((_, i) => i).filter(i => checkpoint.topic_states[i]?.clip);
+    const dropped = [];
+    if (!planner.isOverLength()) return { trimmed: false, dropped };
+
+    const getSlack = () => clipIndexes.reduce((total, i) => total + Math.max(checkpoint.topic_states[i].clip.length - minClipLength, 0), 0);
+    while (clipIndexes.length > 1 && -planner.remaining() > getSlack()) {
+        const i = clipIndexes.pop();
+        const { clip, transition } = checkpoint.topic_states[i];
+        console.log(`Dropping topic "${checkpoint.topics[i]}" to keep to the requested length`);
+        planner.removeSegment(clip.length);
+        // The first topic's transition isn't in the mix.
+        if (i > 0 && transition) planner.removeSegment(transition.length);
+        for (const fileName of [`clip_${i}.mp3`, `transition_${i}.mp3`]) {
+            fs.rmSync(path.join(workDir, fileName), { force: true });
+        }
+        checkpoint.topic_states[i] = { status: 'skipped', reason: SKIPPED_FOR_LENGTH };
+        dropped.push(i);
+    }
+
+    let trimmed = false;
+    for (const i of [...clipIndexes].reverse()) {
+        const excess = -planner.remaining();
+        const clip = checkpoint.topic_states[i].clip;
+        if (excess <= 0) break;
+        if (clip.length <= minClipLength) continue;
+
+        const latestEnd = clip.end_time - Math.min(excess, clip.length - minClipLength);
+        const sentenceEnd = (clip.captions || [])
+            .filter(caption => SENTENCE_END.test(caption.text.trim()))
+            .map(caption => caption.start + caption.duration)
+            .filter(end => end <= latestEnd && end >= Math.max(latestEnd - planner.toleranceSeconds, clip.start_time + minClipLength))
+            .sort((a, b) => b - a)[0];
+        const end = sentenceEnd ?? latestEnd;
+
+        console.log(`Shortening clip ${i} from ${Math.round(clip.length)}s to ${Math.round(end - clip.start_time)}s to keep to the requested length`);
+        await cutClipToLength(workDir, `clip_${i}.mp3`, end - clip.start_time);
+        planner.shortenBy(clip.end_time - end);
+        Object.assign(clip, {
+            url: await uploadFile(path.join(workDir, `clip_${i}.mp3`)),
+            end_time: end,
+            length: end - clip.start_time,
+            captions: (clip.captions || []).filter(caption => caption.start < end)
+        });
+        trimmed = true;
+    }
+    return { trimmed, dropped };
+};
+
+const getCaptionText = (captions, startTime, endTime) => captions
+    .filter(caption => caption.start + (caption.duration || 0) > startTime && caption.start < endTime)
+    .map(caption => caption.text)
+    .join(' ');
+
+// Lowercased channel id and name, which is what allow/deny lists and duplicate checks match on.
+const getChannelKeys = (item) => [item.snippet.channelId, item.snippet.channelTitle].filter(Boolean).map(key => key.toLowerCase());
+
+const getRejection = (item, reason) => ({
+    video_id: item.id.videoId,
+    title: item.snippet.title,
+    channel: item.snippet.channelTitle,
+    reason
+});
+
+// Returns why a candidate fails the episode's filters, or null if it passes. Checks that need
+// metadata the item's source doesn't have (views on a podcast, say) are skipped.
+const checkCandidate = (item, details, filters, usedChannels) => {
+    const channelKeys = getChannelKeys(item);
+    const isListed = (list) => list.some(entry => channelKeys.includes(entry.toLowerCase()));
+    if (filters.allowChannels.length && !isListed(filters.allowChannels)) return "Channel isn't on the allow list";
+    if (isListed(filters.denyChannels)) return "Channel is on the deny list";
+    if (filters.uniqueChannels && channelKeys.some(key => usedChannels.has(key))) return "Channel is already used in this episode";
+    if (details.views != null && details.views < filters.minViews) return `Only ${details.views} views`;
+    if (details.subscribers != null && details.subscribers < filters.minSubscribers) return `Channel only has ${details.subscribers} subscribers`;
+    if (filters.maxAgeDays && details.publishedAt) {
+        const ageInDays = (Date.now() - new Date(details.publishedAt).getTime()) / (DAY * 1000);
+        if (ageInDays > filters.maxAgeDays) return `Published ${Math.floor(ageInDays)} days ago`;
+    }
+    if (filters.creativeCommonsOnly && details.license != null && details.license !== 'creativeCommon') return "Not Creative Commons licensed";
+    if (details.duration != null) {
+        if (filters.minDuration && details.duration < filters.minDuration) return `Only ${Math.round(details.duration)}s long`;
+        if (filters.maxDuration && details.duration > filters.maxDuration) return `${Math.round(details.duration)}s long`;
+    }
+    if (filters.languages.length && details.language
+        && !filters.languages.some(language => details.language.toLowerCase().startsWith(language.toLowerCase()))) {
+        return `In ${details.language}`;
+    }
+    return null;
+};
+
+const filterCandidates = async (items, filters, usedChannels) => {
+    const accepted = [];
+    const rejections = [];
+    for (const adapter of Object.values(SOURCE_ADAPTERS)) {
+        const sourceItems = items.filter(item => getSourceAdapter(item) === adapter);
+        if (!sourceItems.length) continue;
+        const details = await adapter.getDetails(sourceItems);
+        for (const item of sourceItems) {
+            const reason = checkCandidate(item, details[item.id.videoId] || {}, filters, usedChannels);
+            if (reason) rejections.push(getRejection(item, reason));
+            else accepted.push({ ...item, details: details[item.id.videoId] || item.details || null });
+        }
+    }
+    return { accepted, rejections };
+};
+
+// The clip from another episode that a window repeats too much of, if any. Rows saved before
+// clip times were recorded count as covering the whole video.
+const findRepeatedClip = (usedClips, videoId, startTime, endTime, maxOverlap) => usedClips.find(clip => {
+    if (clip.video_id !== videoId) return false;
+    if (clip.start_time == null || clip.end_time == null) return true;
+    const overlap = Math.min(endTime, clip.end_time) - Math.max(startTime, clip.start_time);
+    return overlap > (endTime - startTime) * maxOverlap;
+});
+
+// Keyword check first since it's free; the LLM is only asked when moderation is turned on.
+const moderateClip = async (text, topic, query, filters, llmOptions) => {
+    const lowerText = text.toLowerCase();
+    const blockedKeyword = filters.blockedKeywords.find(keyword => {
+        const escapedKeyword = keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(?<!\\w)${escapedKeyword}(?!\\w)`).test(lowerText);
+    });
+    if (blockedKeyword) return `Mentions "${blockedKeyword}"`;
+    if (!filters.moderation) return null;
+    return moderateTranscript(text, topic, query, llmOptions);
+};
+
+// Why a window of a candidate can't go in the episode, or null if it can. selectClipForTopic
+// checks the window it picks; fitClipToBudget checks any other window it moves the clip to.
+// usedClips are other episodes' clips from the same videos.
+const getClipWindowProblem = async (transcriptInfo, startTime, endTime, query, topic, settings, usedClips) => {
+    const filters = { ...DEFAULT_FILTERS, ...settings.filters };
+    const dedup = { ...DEFAULT_DEDUP, ...settings.dedup };
+    const repeatedClip = findRepeatedClip(usedClips, transcriptInfo.video.id.videoId, startTime, endTime, dedup.maxOverlap);
+    if (repeatedClip) return `Repeats part of a clip from episode ${repeatedClip.episode}`;
+    return moderateClip(getCaptionText(transcriptInfo.captions, startTime, endTime), topic, query, filters, settings.llm);
+};
+
+// Runs the search, filtering, transcript analysis and video selection for a topic.
+// Searches and candidates are handled concurrently; the service limiters keep that within quota.
+// usedChannels and episodeId describe the episode being built, for the duplicate checks.
+// Previews pass transcribe: false so sources without captions aren't downloaded.
+// Returns the chosen video and time range (null if nothing suitable was found) and why each
+// rejected candidate was turned down.
+const selectClipForTopic = async (query, topic, targetClipLength, settings, { usedChannels = new Set(), episodeId = null, transcribe = true } = {}) => {
+    const llmOptions = settings.llm;
+    const filters = { ...DEFAULT_FILTERS, ...settings.filters };
+    const dedup = { ...DEFAULT_DEDUP, ...settings.dedup };
+    const searchQueries = await getYoutubeSearchQueries(topic, llmOptions);
+    const searches = searchQueries.flatMap(searchQuery => normalizeSources(settings.sources).map(async (source) => {
+        const videos = await SOURCE_ADAPTERS[source.type].search(searchQuery, source);
+        return videos.map(video => ({ ...video, source: source.type }));
+    }));
+    const allVideos = (await Promise.all(searches)).flat().filter(Boolean);
+    const { accepted, rejections } = await filterCandidates(allVideos, filters, usedChannels);
+    const usedClips = dedup.mode === 'off' ? [] : await getUsedClips([...new Set(accepted.map(video => video.id.videoId))], episodeId);
+
+    const candidates = await Promise.all(accepted.map(async (video) => {
+        const usedClip = usedClips.find(clip => clip.video_id === video.id.videoId);
+        if (dedup.mode === 'video' && usedClip) {
+            rejections.push(getRejection(video, `Used in episode ${usedClip.episode}`));
+            return null;
+        }
+
+        const captions = await getSourceAdapter(video).getTranscript(video, { transcribe });
+        if (!captions.length) {
+            rejections.push(getRejection(video, "No transcript"));
+            return null;
+        }
+
+        const transcript = captions.map(caption => `${caption.start}: ${caption.text}`).join('\n');
+        const [startTime, endTime, reason] = await extractBestPartOfTranscript(transcript, topic, query, targetClipLength, llmOptions);
+        if (startTime == null || endTime == null) {
+            rejections.push(getRejection(video, reason));
+            return null;
+        }
+        const clippedTranscript = transcript.split('\n').slice(startTime, endTime);
+
+        const windowProblem = await getClipWindowProblem({ captions, video }, startTime, endTime, query, topic, settings, usedClips);
+        if (windowProblem) {
+            rejections.push(getRejection(video, windowProblem));
+            return null;
+        }
+
+        return {
+            transcript: clippedTranscript,
+            transcriptText: transcript,
+            captions,
+            start_time: startTime,
+            end_time: endTime,
+            reason,
+            video: video
+        };
+    }));
+    const transcriptsWithInfo = candidates.filter(Boolean);
+    for (const rejection of rejections) {
+        console.log(`Rejected "${rejection.title}" for "${topic}": ${rejection.reason}`);
+    }
+    if (!transcriptsWithInfo.length) return { transcriptInfo: null, rejections };
+
+    const bestVideoObj = await getBestVideo(transcriptsWithInfo.map(transcript => transcript.video), query, topic, llmOptions);
+    if (!bestVideoObj || !bestVideoObj.video) return { transcriptInfo: null, rejections };
+    const bestVideo = bestVideoObj.video;
+    const transcriptInfo = transcriptsWithInfo.find(transcript => transcript.video.id.videoId === bestVideo.id.videoId) || null;
+    return { transcriptInfo, rejections };
+};
+
+// Asks again for a section closer to the clip budget when the chosen one is well off it,
+// and cuts anything still over the maximum clip length. Unless checkWindow is false, a new
+// section has to pass the same checks as the one it replaces; returns null if the cut one doesn't.
+const fitClipToBudget = async (transcriptInfo, query, topic, targetClipLength, settings, { checkWindow = true, episodeId = null } = {}) => {
+    const { clipTolerance, minClipLength, maxClipLength } = { ...DEFAULT_DURATION, ...settings.duration };
+    const dedup = { ...DEFAULT_DEDUP, ...settings.dedup };
+    let usedClips;
+    const getWindowProblem = async (startTime, endTime) => {
+        if (!checkWindow) return null;
+        usedClips ??= dedup.mode === 'off' ? [] : await getUsedClips([transcriptInfo.video.id.videoId], episodeId);
+        return getClipWindowProblem(transcriptInfo, startTime, endTime, query, topic, settings, usedClips);
+    };
+    const isAcceptableLength = (length) => length >= minClipLength && length <= maxClipLength
+        && Math.abs(length - targetClipLength) <= targetClipLength * clipTolerance;
+
+    for (let attempt = 0; attempt < MAX_CLIP_LENGTH_RETRIES; attempt++) {
+        const chosenLength = transcriptInfo.end_time - transcriptInfo.start_time;
+        if (isAcceptableLength(chosenLength)) break;
+
+        console.log(`Clip for "${topic}" is ${Math.round(chosenLength)}s against a budget of ${Math.round(targetClipLength)}s, asking again`);
+        const [startTime, endTime, reason] = await extractBestPartOfTranscript(
+            transcriptInfo.transcriptText, topic, query, targetClipLength, settings.llm, chosenLength
+        );
+        if (startTime == null || endTime == null) break;
+        const windowProblem = await getWindowProblem(startTime, endTime);
+        if (windowProblem) {
+            console.log(`Keeping the earlier section of "${transcriptInfo.video.snippet.title}" for "${topic}": ${windowProblem}`);
+            break;
+        }
+        Object.assign(transcriptInfo, { start_time: startTime, end_time: endTime, reason });
+    }
+
+    if (transcriptInfo.end_time - transcriptInfo.start_time > maxClipLength) {
+        const endTime = transcriptInfo.start_time + maxClipLength;
+        const windowProblem = await getWindowProblem(transcriptInfo.start_time, endTime);
+        if (windowProblem) {
+            console.log(`Can't cut "${transcriptInfo.video.snippet.title}" down for "${topic}": ${windowProblem}`);
+            return null;
+        }
+        transcriptInfo.end_time = endTime;
+    }
+    return transcriptInfo;
+};
+
+// Turns a clip picked ahead of the build, by an edit or in a run sheet ({ video, start_time, end_time }),
+// into the shape selectClipForTopic returns. Without a time range the best section of the video is picked.
+const selectPlannedClip = async (query, topic, plannedClip, targetLength, settings) => {
+    const { video } = plannedClip;
+    const captions = await getSourceAdapter(video).getTranscript(video);
+    if (plannedClip.start_time != null && plannedClip.end_time != null) {
+        return { captions, start_time: plannedClip.start_time, end_time: plannedClip.end_time, reason: plannedClip.reason || "Picked by hand", video };
+    }
+
+    const transcript = captions.map(caption => `${caption.start}: ${caption.text}`).join('\n');
+    const [startTime, endTime, reason] = captions.length
+        ? await extractBestPartOfTranscript(transcript, topic, query, targetLength, settings.llm)
+        : [null, null, null];
+    if (startTime == null || endTime == null) throw new Error(`Couldn't find a section of "${video.snippet.title}" about "${topic}"`);
+    return fitClipToBudget({ captions, transcriptText: transcript, start_time: startTime, end_time: endTime, reason, video }, query, topic, targetLength, settings, { checkWindow: false });
+};
+
+// Transitions lead into their topic's clip from the clip before it. Ones written before edits
+// existed don't say which clip that was, so it's filled in from the order they were built in.
+const recordTransitionNeighbours = (checkpoint) => {
+    let previousVideoId = null;
+    checkpoint.topics.forEach((topic, i) => {
+        const topicState = checkpoint.topic_states[i];
+        if (!topicState?.clip) return;
+        if (topicState.transition && topicState.transition.previous_video_id === undefined) {
+            topicState.transition.previous_video_id = previousVideoId;
+        }
+        previousVideoId = topicState.clip.video.id.videoId;
+    });
+};
+
+// Drops transitions whose clip, or the clip before it, changed in an edit so the rebuild
+// voices new ones.
+const dropStaleTransitions = (checkpoint) => {
+    let previousVideoId = null;
+    checkpoint.topics.forEach((topic, i) => {
+        const topicState = checkpoint.topic_states[i];
+        const video = topicState?.planned_clip?.video || topicState?.clip?.video;
+        if (!video) return;
+        if (topicState.transition && (topicState.planned_clip || topicState.transition.previous_video_id !== previousVideoId)) {
+            delete topicState.transition;
+            if (topicState.status === 'completed') topicState.status = 'clip_done';
+        }
+        previousVideoId = video.id.videoId;
+    });
+};
+
+// order lists the current topic indexes in their new order; topics left out are removed.
+const reorderTopics = (checkpoint, order) => {
+    recordTransitionNeighbours(checkpoint);
+    const topicStates = checkpoint.topic_states;
+    checkpoint.topics = order.map(index => checkpoint.topics[index]);
+    checkpoint.topic_states = Object.fromEntries(order.map((index, newIndex) => [newIndex, topicStates[index]]));
+    dropStaleTransitions(checkpoint);
+};
+
+const replaceTopicClip = (checkpoint, index, plannedClip) => {
+    recordTransitionNeighbours(checkpoint);
+    const topicState = checkpoint.topic_states[index];
+    checkpoint.topic_states[index] = { ...topicState, status: 'pending', clip: null, planned_clip: plannedClip };
+    dropStaleTransitions(checkpoint);
+};
+
+// Edited checkpoints are rebuilt by an ordinary resume job, which only redoes what the edit cleared.
+const queueEpisodeEdit = async (checkpoint, webhooks = []) => {
+    checkpoint.status = 'editing';
+    await saveCheckpoint(checkpoint);
+    return enqueueJob({ episodeId: checkpoint.episode, webhooks });
+};
+
+const estimateScriptLength = (script) => {
+    const wordCount = script.reduce((total, line) => total + line.text.split(/\s+/).filter(Boolean).length, 0);
+    return wordCount / WORDS_PER_SECOND;
+};
+
+// The outline builds and previews both start from.
+const planEpisodeOutline = async (job, query, episodeLength, settings) => {
+    await updateJobStage(job, 'outline');
+    const previousEpisodes = settings.series ? await getSeriesHistory(settings.series) : [];
+    const outline = await getShowOutline(query, settings.llm, planTopicCount(episodeLength, settings.duration), previousEpisodes);
+    return outline.podcast_structure;
+};
+
+const createEpisodePlanner = (episodeLength, settings) => {
+    const mixOverlap = { ...DEFAULT_MIX, ...settings.mix }.crossfade;
+    return createDurationPlanner(episodeLength, settings.duration, mixOverlap);
+};
+
+// The topic loop shared by builds and previews, so both budget, pick and drop clips the same way.
+// Clip selection runs ahead for the next few topics while the current one is handled. Its
+// budget is an estimate from where the loop was when it started, so the result is fitted to
+// the real budget once its turn comes. Topics are still finished in order, which keeps clip
+// indexes and resumes unchanged.
+//
+// states holds what's already settled for a topic: status 'skipped', a finished clip, or a
+// planned_clip to fill in. The hooks do the work that differs:
+//   useClip(i, clipInfo, rejections) adds a newly picked clip and returns { video, length }
+//   reuseClip(i) returns { video, length } for a topic whose clip is already made
+//   skipTopic(i, reason, rejections)
+//   addTransition(i, previousVideo, video) returns the transition's length
+//   finishTopic(i) and onTopicsAdded() are optional
+const walkTopics = async (job, { query, topics, settings, planner, states = {}, hasFixedTopics = false, episodeId = null, transcribe = true }, hooks) => {
+    const filters = { ...DEFAULT_FILTERS, ...settings.filters };
+    const usedChannels = new Set(Object.values(states).flatMap(state => state?.clip ? getChannelKeys(state.clip.video) : []));
+
+    // When the planned topics run out with plenty of the requested length left, ask for more.
+    let addedTopics = 0;
+    const addTopicsIfUnderLength = async () => {
+        if (hasFixedTopics || addedTopics >= MAX_ADDED_TOPICS || !planner.isUnderLength()) return false;
+        const newTopics = await getAdditionalTopics(query, topics, 1, settings.llm);
+        console.log(`Episode is ${Math.round(planner.remaining())}s short, adding topics: ${newTopics.join(', ')}`);
+        topics.push(...newTopics);
+        addedTopics += newTopics.length;
+        await hooks.onTopicsAdded?.();
+        return true;
+    };
+
+    const selections = new Map();
+    const selectClip = (index, clipBudget) => selectClipForTopic(query, topics[index], clipBudget, settings, { usedChannels: new Set(usedChannels), episodeId, transcribe });
+    const startSelection = (index, clipBudget) => {
+        const state = states[index];
+        if (selections.has(index) || index >= topics.length || state?.clip || state?.planned_clip || state?.status === 'skipped') return;
+        const selection = selectClip(index, clipBudget);
+        selection.catch(() => {}); // surfaced when the topic's turn comes
+        selections.set(index, selection);
+    };
+
+    let previousVideo = { snippet: { title: "Introduction", description: "Introduction to the podcast show", channelTitle: "N/A" } };
+    for (let i = 0; i < topics.length || await addTopicsIfUnderLength(); i++) {
+        await updateJobStage(job, 'topic', i, topics.length);
+        const state = states[i];
+        if (state?.status === 'skipped') continue;
+
+        let clip;
+        if (state?.clip) {
+            clip = await hooks.reuseClip(i);
+        } else if (state?.planned_clip) {
+            const targetLength = state.planned_clip.target_length ?? planner.clipBudget(topics.length - i);
+            clip = await hooks.useClip(i, await selectPlannedClip(query, topics[i], state.planned_clip, targetLength, settings), null);
+        } else {
+            if (!planner.hasRoomForClip()) {
+                console.log(`Dropping topic "${topics[i]}" to keep to the requested length`);
+                await hooks.skipTopic(i, SKIPPED_FOR_LENGTH, null);
+                continue;
+            }
+
+            const clipBudget = planner.clipBudget(topics.length - i);
+            for (let ahead = i; ahead < i + TOPIC_CONCURRENCY; ahead++) startSelection(ahead, clipBudget);
+            let selection = await selections.get(i);
+            // Selected alongside earlier topics, so it may have picked a channel one of them has since used.
+            if (filters.uniqueChannels && selection.transcriptInfo
+                && getChannelKeys(selection.transcriptInfo.video).some(key => usedChannels.has(key))) {
+                selection = await selectClip(i, clipBudget);
+            }
+            const clipInfo = selection.transcriptInfo && await fitClipToBudget(selection.transcriptInfo, query, topics[i], clipBudget, settings, { episodeId });
+            if (!clipInfo) {
+                await hooks.skipTopic(i, SKIPPED_NO_CLIP, selection.rejections);
+                continue;
             }
+            clip = await hooks.useClip(i, clipInfo, selection.rejections);
+        }
+        planner.addSegment(clip.length, 'clip');
+        getChannelKeys(clip.video).forEach(key => usedChannels.add(key));
+
+        await updateJobStage(job, 'transition', i, topics.length);
+        const transitionLength = await hooks.addTransition(i, previousVideo, clip.video);
+        // The first topic's transition isn't used in the mix; the intro leads straight into its clip.
+        if (i > 0) planner.addSegment(transitionLength, 'transition');
+        await hooks.finishTopic?.(i);
+
+        previousVideo = clip.video;
+    }
+};
+
+// Plans an episode the way a build would, stopping before any download, TTS or upload.
+// Speech lengths are estimated from the scripts' word counts.
+const buildRunSheet = async (job) => {
+    const { query, episodeLength, settings = {} } = job.params;
+    console.log(`Previewing episode for ${query} with requested length of ${Math.floor(episodeLength / 60)} mins.`);
+
+    const { topics, episode_name: episodeTitle, episode_description: episodeDescription } = await planEpisodeOutline(job, query, episodeLength, settings);
+    const planner = createEpisodePlanner(episodeLength, settings);
 
-            const bestVideoObj = await getBestVideo(allVideos, query, topics[i]);
-            if (!bestVideoObj || !bestVideoObj.video) continue;
-            let bestVideo = bestVideoObj.video;
-            const bestTranscriptInfo = transcriptsWithInfo.find(transcript => transcript.video.id.videoId === bestVideo.id.videoId);
-            if (!bestTranscriptInfo) continue;
-
-            await downloadAudioFromYoutube(bestVideo.id.videoId, bestTranscriptInfo.start_time, bestTranscriptInfo.end_time, i);
-            let aimClipLength = bestTranscriptInfo.end_time - bestTranscriptInfo.start_time;
-            await cutClipToLength(`clip_${i}.mp3`, aimClipLength);
-            const clipLength = aimClipLength;
-            totalLength += clipLength;
-
-            const clipUrl = await uploadToSupabase(`clip_${i}.mp3`);
-            const clipTitle = bestVideo.snippet.title;
-            const clipDescription = bestVideo.snippet.description;
-            await updateClipInDb(episodeId, i, clipUrl, clipLength, clipTitle, clipDescription, 'clip', bestVideo.id.videoId);
-            seenClips.push(bestVideo);
-
-            const transitionText = await createTransition(query, previousClip, bestVideo);
-            await getAudioForWords(`transition_${i}.mp3`, transitionText);
-            const transitionLength = await getAudioLength(`transition_${i}.mp3`);
-            totalLength += transitionLength;
-
-            const transitionUrl = await uploadToSupabase(`transition_${i}.mp3`);
+    await updateJobStage(job, 'intro');
+    const introScript = await writeIntroScript(query, [], settings);
+    planner.addSegment(estimateScriptLength(introScript), 'intro');
+
+    const entries = [];
+    await walkTopics(job, { query, topics, settings, planner, transcribe: false }, {
+        skipTopic: (i, reason, rejections) => {
+            entries[i] = { topic: topics[i], skipped: true, reason, ...(rejections && { rejected_candidates: rejections }) };
+        },
+        useClip: (i, clip, rejections) => {
+            entries[i] = {
+                topic: topics[i],
+                video: clip.video,
+                url: getSourceAdapter(clip.video).getUrl(clip.video, clip.start_time),
+                start_time: clip.start_time,
+                end_time: clip.end_time,
+                reason: clip.reason,
+                excerpt: getCaptionText(clip.captions, clip.start_time, clip.end_time),
+                transition_script: null,
+                rejected_candidates: rejections
+            };
+            return { video: clip.video, length: clip.end_time - clip.start_time };
+        },
+        addTransition: async (i, previousVideo, video) => {
+            const transitionScript = await writeTransitionScript(query, previousVideo, video, settings);
+            entries[i].transition_script = transitionScript;
+            return estimateScriptLength(transitionScript);
+        }
+    });
+
+    return {
+        query,
+        episode_length: episodeLength,
+        settings,
+        title: episodeTitle,
+        description: episodeDescription,
+        intro_script: introScript,
+        topics: entries,
+        estimated_length: Math.round(episodeLength - planner.remaining())
+    };
+};
+
+// Returns what's wrong with a run sheet sent back for rendering, or null if it can be rendered.
+const validateRunSheet = (runSheet) => {
+    const isScript = (script) => Array.isArray(script) && script.length > 0 && script.every(line => isNonEmptyString(line?.text));
+    if (!runSheet || !isNonEmptyString(runSheet.query) || !isNonEmptyString(runSheet.title)) return "run_sheet needs a query and title";
+    if (!(runSheet.episode_length > 0)) return "run_sheet needs an episode_length";
+    const settingsProblem = getSettingsProblem(runSheet.settings ?? {});
+    if (settingsProblem) return settingsProblem;
+    if (!Array.isArray(runSheet.topics) || !runSheet.topics.length) return "run_sheet needs at least one topic";
+    if (runSheet.intro_script != null && !isScript(runSheet.intro_script)) return "intro_script must be a list of lines with text";
+    for (const entry of runSheet.topics) {
+        if (!isNonEmptyString(entry?.topic)) return "Every topic needs a name";
+        if (entry.skipped) continue;
+        if (entry.video && !isNonEmptyString(entry.video.id?.videoId)) return `The video for "${entry.topic}" needs an id`;
+        const hasRange = entry.start_time != null || entry.end_time != null;
+        if (hasRange && !(entry.video && entry.start_time >= 0 && entry.end_time > entry.start_time)) {
+            return `"${entry.topic}" needs a video and an end_time after its start_time`;
+        }
+        if (entry.transition_script != null && !isScript(entry.transition_script)) return `The transition script for "${entry.topic}" must be a list of lines with text`;
+    }
+    return null;
+};
+
+// An approved run sheet becomes the checkpoint of a build whose clips and scripts are already
+// planned. Topics without a video get one picked as usual.
+const checkpointFromRunSheet = (runSheet, episodeId) => ({
+    episode: episodeId,
+    query: runSheet.query,
+    episode_length: runSheet.episode_length,
+    topics: runSheet.topics.map(entry => entry.topic),
+    settings: runSheet.settings || {},
+    intro: null,
+    intro_script: runSheet.intro_script || null,
+    topic_states: Object.fromEntries(runSheet.topics.map((entry, i) => [i, entry.skipped
+        ? { status: 'skipped', reason: entry.reason || 'Skipped in the run sheet' }
+        : {
+            status: 'pending',
+            planned_clip: entry.video ? { video: entry.video, start_time: entry.start_time ?? null, end_time: entry.end_time ?? null, reason: entry.reason } : null,
+            transition_script: entry.transition_script || null
+        }
+    ])),
+    planned: true,
+    status: 'in_progress'
+});
+
+const buildEpisodeInWorkspace = async (job, workDir) => {
+    let checkpoint;
+    if (job.params.episodeId) {
+        checkpoint = await getCheckpoint(job.params.episodeId);
+        if (!checkpoint) throw new Error(`No checkpoint found for episode ${job.params.episodeId}`);
+        console.log(`Resuming episode ${checkpoint.episode} for ${checkpoint.query}`);
+    } else if (job.params.runSheet) {
+        const { runSheet } = job.params;
+        const settings = runSheet.settings || {};
+        console.log(`Rendering run sheet for ${runSheet.query}`);
+        const episodeId = await addEpisodeToDb(runSheet.title, runSheet.description, 0, settings.show, settings.series);
+        checkpoint = checkpointFromRunSheet(runSheet, episodeId);
+        await saveCheckpoint(checkpoint);
+    } else {
+        const { query, episodeLength, settings = {} } = job.params;
+        console.log(`Creating episode for ${query} with requested length of ${Math.floor(episodeLength / 60)} mins.`);
+
+        const { topics, episode_name: episodeTitle, episode_description: episodeDescription } = await planEpisodeOutline(job, query, episodeLength, settings);
+        const episodeId = await addEpisodeToDb(episodeTitle, episodeDescription, 0, settings.show, settings.series);
+        checkpoint = {
+            episode: episodeId,
+            query,
+            episode_length: episodeLength,
+            topics,
+            settings,
+            intro: null,
+            topic_states: {},
+            status: 'in_progress'
+        };
+        await saveCheckpoint(checkpoint);
+    }
+
+    const { episode: episodeId, query, episode_length: episodeLength, topics, settings = {} } = checkpoint;
+    const isEdit = checkpoint.status === 'editing';
+    // Edits and approved run sheets already say which topics the episode has.
+    const hasFixedTopics = isEdit || checkpoint.planned;
+    job.episode_id = episodeId;
+    await emitJobEvent(job, 'episode.started', { query, episode_length: episodeLength, edit: isEdit, resumed: !isEdit && Boolean(checkpoint.intro) });
+    const planner = createEpisodePlanner(episodeLength, settings);
+
+    await updateJobStage(job, 'intro');
+    const introPath = path.join(workDir, 'intro.mp3');
+    if (checkpoint.intro) {
+        await downloadFile(checkpoint.intro.url, introPath);
+    } else {
+        const introScript = checkpoint.intro_script || await writeIntroScript(query, [], settings);
+        await getAudioForScript(workDir, 'intro.mp3', introScript, settings);
+        const introUrl = await uploadFile(introPath);
+        console.log("Uploaded intro");
+        const introLength = await getAudioLength(introPath);
+        let floatIntroLength = convertStringToFloat(introLength);
+        await updateClipInDb(episodeId, 0, introUrl, floatIntroLength, "Intro", "Introduction transition to the episode", 'intro');
+
+        checkpoint.intro = { url: introUrl, length: floatIntroLength, script: introScript };
+        await saveCheckpoint(checkpoint);
+    }
+    planner.addSegment(checkpoint.intro.length, 'intro');
+
+    fs.writeFileSync(path.join(workDir, 'topics.txt'), JSON.stringify(topics));
+
+    // Topics that got a new clip or transition in this run, as opposed to ones finished before a resume.
+    const builtTopics = new Set();
+    await walkTopics(job, { query, topics, settings, planner, states: checkpoint.topic_states, hasFixedTopics, episodeId }, {
+        onTopicsAdded: () => saveCheckpoint(checkpoint),
+        reuseClip: async (i) => {
+            const { clip } = checkpoint.topic_states[i];
+            await downloadFile(clip.url, path.join(workDir, `clip_${i}.mp3`));
+            return { video: clip.video, length: clip.length };
+        },
+        skipTopic: async (i, reason, rejections) => {
+            checkpoint.topic_states[i] = { status: 'skipped', reason, ...(rejections && { rejected_candidates: rejections }) };
+            await saveCheckpoint(checkpoint);
+            await emitJobEvent(job, 'clip.skipped', { topic_index: i, topic: topics[i], reason, ...(rejections && { rejected_candidates: rejections }) });
+        },
+        useClip: async (i, clipInfo, rejections) => {
+            const topicState = checkpoint.topic_states[i] || { status: 'pending' };
+            if (rejections) topicState.rejected_candidates = rejections;
+            const { video, captions, start_time: chosenStart, end_time: chosenEnd } = clipInfo;
+            const { start: clipStart, end: clipEnd } = await downloadRefinedClip(workDir, video, captions, chosenStart, chosenEnd, i, settings.boundaries);
+            const clipLength = clipEnd - clipStart;
+
+            const clipUrl = await uploadFile(path.join(workDir, `clip_${i}.mp3`));
+            const clipTimes = { start_time: clipStart, end_time: clipEnd, chosen_start_time: chosenStart, chosen_end_time: chosenEnd };
+            await updateClipInDb(episodeId, i, clipUrl, clipLength, video.snippet.title, video.snippet.description, 'clip', video.id.videoId, clipTimes);
+
+            topicState.status = 'clip_done';
+            delete topicState.planned_clip;
+            topicState.clip = {
+                url: clipUrl,
+                length: clipLength,
+                video,
+                ...clipTimes,
+                captions: captions.filter(caption => caption.start + caption.duration > clipStart && caption.start < clipEnd)
+            };
+            checkpoint.topic_states[i] = topicState;
+            await saveCheckpoint(checkpoint);
+            builtTopics.add(i);
+            return { video, length: clipLength };
+        },
+        addTransition: async (i, previousVideo, video) => {
+            const topicState = checkpoint.topic_states[i];
+            const transitionPath = path.join(workDir, `transition_${i}.mp3`);
+            if (topicState.transition) {
+                await downloadFile(topicState.transition.url, transitionPath);
+                return topicState.transition.length;
+            }
+
+            const transitionScript = topicState.transition_script || await writeTransitionScript(query, previousVideo, video, settings);
+            await getAudioForScript(workDir, `transition_${i}.mp3`, transitionScript, settings);
+            const transitionLength = await getAudioLength(transitionPath);
+
+            const transitionUrl = await uploadFile(transitionPath);
             const transitionTitle = "Transition";
-            const transitionDescription = `Transition between ${previousClip.snippet.title} and ${clipTitle}`;
+            const transitionDescription = `Transition between ${previousVideo.snippet.title} and ${video.snippet.title}`;
             await updateClipInDb(episodeId, i, transitionUrl, transitionLength, transitionTitle, transitionDescription, 'transition');
 
-            previousClip = bestVideo;
+            topicState.status = 'completed';
+            delete topicState.transition_script;
+            topicState.transition = {
+                url: transitionUrl,
+                length: transitionLength,
+                script: transitionScript,
+                previous_video_id: previousVideo.id?.videoId || null
+            };
+            await saveCheckpoint(checkpoint);
+            builtTopics.add(i);
+            return transitionLength;
+        },
+        finishTopic: async (i) => {
+            if (!builtTopics.has(i)) return;
+            await emitJobEvent(job, 'topic.completed', { topic_index: i, topic: topics[i], clip: describeClip(checkpoint.topic_states[i].clip) });
         }
+    });
+
+    const { trimmed, dropped } = await trimClipsToLength(workDir, checkpoint, planner, settings.duration);
+    if (trimmed || dropped.length) {
+        await saveCheckpoint(checkpoint);
+        await syncSegmentRows(episodeId, checkpoint);
+    }
+    for (const i of dropped) {
+        await emitJobEvent(job, 'clip.skipped', { topic_index: i, topic: topics[i], reason: checkpoint.topic_states[i].reason });
+    }
+
+    await updateJobStage(job, 'concat');
+    const timeline = await concatMp3Files(workDir, topics.length, settings.mix);
+    const chapters = buildChapters(timeline, checkpoint.topic_states);
+    const episode = await getEpisode(episodeId);
+    const showDetails = getShowDetails(settings.show ? await getShow(settings.show) || {} : {});
+    const artwork = settings.artwork || showDetails.artwork;
+    const coverPath = await tagEpisodeAudio(workDir, {
+        title: episode.title,
+        artist: settings.hosts?.length ? settings.hosts.map(host => host.name).join(', ') : showDetails.author,
+        album: showDetails.title,
+        artwork
+    }, chapters);
+
+    await updateJobStage(job, 'upload');
+    const outputPath = path.join(workDir, 'output.mp3');
+    const finalAudioUrl = await uploadFile(outputPath);
+    const finalEpisodeLength = await getAudioLength(outputPath);
+    if (!planner.isWithinTolerance(finalEpisodeLength)) {
+        console.log(`Episode ${episodeId} is ${Math.round(finalEpisodeLength)}s long, outside the tolerance of the requested ${episodeLength}s`);
+    }
+    const finalAudioSize = fs.statSync(outputPath).size;
+    const chaptersUrl = await uploadFile(writeChaptersJson(workDir, chapters));
+    const cues = buildTranscriptCues(timeline, checkpoint);
+    const { vttPath, srtPath } = writeTranscriptFiles(workDir, cues);
+    const transcriptUrl = await uploadFile(vttPath);
+    const transcriptSrtUrl = await uploadFile(srtPath);
+
+    await updateJobStage(job, 'outputs');
+    const outputs = await renderOutputs(workDir, settings.outputs, {
+        title: episode.title,
+        coverPath,
+        cues,
+        timeline,
+        topicStates: checkpoint.topic_states
+    });
+    await metadata.update('episodes', { id: episodeId }, {
+        audio_url: finalAudioUrl,
+        audio_size: finalAudioSize,
+        length: finalEpisodeLength,
+        chapters_url: chaptersUrl,
+        transcript_url: transcriptUrl,
+        transcript_srt_url: transcriptSrtUrl,
+        show_notes: buildShowNotes(episode, chapters, timeline, checkpoint.topic_states),
+        artwork_url: artwork || null,
+        outputs
+    });
+
+    if (isEdit) await syncSegmentRows(episodeId, checkpoint);
+    checkpoint.status = 'completed';
+    await saveCheckpoint(checkpoint);
+    console.log("Successfully created episode!");
+    await emitJobEvent(job, 'episode.completed', {
+        title: episode.title,
+        audio_url: finalAudioUrl,
+        length: finalEpisodeLength,
+        chapters_url: chaptersUrl,
+        transcript_url: transcriptUrl,
+        outputs
+    });
+    return episodeId;
+};
 
-        concatMp3Files(topics.length);
-        const finalAudioUrl = await uploadToSupabase('output.mp3');
-        const finalEpisodeLength = await getAudioLength('output.mp3');
-        await supabaseClient.from('episodes').update({ audio_url: finalAudioUrl, length: finalEpisodeLength }).eq('id', episodeId);
-        console.log("Successfully created episode!");
-        res.json({ message: "Show created successfully!", episode_id: episodeId });
+const processJobQueue = async () => {
+    if (activeJobs >= MAX_CONCURRENT_BUILDS || !jobQueue.length) return;
+
+    const job = jobQueue.shift();
+    activeJobs++;
+    // Start the next queued job straight away if there is spare capacity.
+    processJobQueue();
+    try {
+        job.status = 'running';
+        await saveJob(job);
+        if (job.params.preview) {
+            job.run_sheet = await buildRunSheet(job);
+        } else {
+            job.episode_id = await buildEpisode(job);
+        }
+        job.status = 'completed';
+        await updateJobStage(job, 'completed');
     } catch (error) {
         console.error("Error creating episode:", error);
+        job.status = 'failed';
+        job.error = error.message || String(error);
+        try {
+            await saveJob(job);
+        } catch (saveError) {
+            console.error(`Error saving job ${job.id}:`, saveError);
+        }
+        await emitJobEvent(job, 'episode.failed', { stage: job.stage, error: job.error, preview: Boolean(job.params.preview) });
+    } finally {
+        activeJobs--;
+        processJobQueue();
+    }
+};
+
+// A queued or running job for the episode. Only one job may work on a checkpoint at a time.
+const getActiveEpisodeJob = (episodeId) => metadata.findOne('jobs', { episode_id: episodeId, status: ['queued', 'running'] });
+// Episodes with a resume request between its check and its job being saved.
+const resumingEpisodes = new Set();
+
+const enqueueJob = async (params) => {
+    const job = {
+        id: uuid(),
+        status: 'queued',
+        stage: 'queued',
+        progress: 0,
+        topic_index: null,
+        topic_count: null,
+        episode_id: params.episodeId || null,
+        run_sheet: null,
+        error: null,
+        params,
+        created_at: new Date().toISOString()
+    };
+    await saveJob(job);
+    jobQueue.push(job);
+    processJobQueue();
+    return job;
+};
+
+// Picks up jobs left behind by a previous process. Jobs that were mid-build are
+// re-queued as resumes of their episode so finished topics aren't rebuilt.
+const recoverJobs = async () => {
+    const jobs = await metadata.find('jobs', { status: ['queued', 'running'] }, { orderBy: 'created_at' });
+    const recoveredEpisodes = new Set();
+    for (const job of jobs) {
+        if (job.episode_id && recoveredEpisodes.has(job.episode_id)) {
+            Object.assign(job, { status: 'failed', error: "Another job was already recovered for this episode" });
+            await saveJob(job);
+            continue;
+        }
+        if (job.episode_id) recoveredEpisodes.add(job.episode_id);
+        if (job.status === 'running') {
+            if (job.episode_id) job.params = { ...job.params, episodeId: job.episode_id };
+            job.status = 'queued';
+            await saveJob(job);
+        }
+        jobQueue.push(job);
+    }
+    console.log(`Recovered ${jobQueue.length} queued jobs`);
+    processJobQueue();
+};
+
+const formatDuration = (seconds) => {
+    const totalSeconds = Math.round(seconds);
+    const parts = [Math.floor(totalSeconds / 3600), Math.floor(totalSeconds % 3600 / 60), totalSeconds % 60];
+    return parts.map(part => String(part).padStart(2, '0')).join(':');
+};
+
+// Older episodes were saved without a byte size, so ask the storage server for it.
+const getEpisodeAudioSize = async (episode) => {
+    if (episode.audio_size) return episode.audio_size;
+    try {
+        const response = await axios.head(episode.audio_url);
+        return parseInt(response.headers['content-length'] || '0');
+    } catch (error) {
+        console.error(`Error getting audio size for episode ${episode.id}:`, error.message);
+        return 0;
+    }
+};
+
+const getPublishedEpisodes = async (show = null) => {
+    const filters = { audio_url: { not: null } };
+    if (show) filters.show = show;
+    return metadata.find('episodes', filters, { orderBy: 'created_at', ascending: false });
+};
+
+const buildFeedXml = async (channelInfo, episodes) => {
+    const items = [];
+    for (const episode of episodes) {
+        const item = {
+            title: episode.title,
+            description: episode.description,
+            guid: { $: { isPermaLink: 'false' }, _: `podcast-builder-episode-${episode.id}` },
+            pubDate: new Date(episode.created_at).toUTCString(),
+            enclosure: { $: { url: episode.audio_url, length: await getEpisodeAudioSize(episode), type: getMimeType(episode.audio_url) } },
+            'itunes:title': episode.title,
+            'itunes:summary': episode.description,
+            'itunes:duration': formatDuration(episode.length || 0),
+            'itunes:explicit': 'false'
+        };
+        if (episode.artwork_url) item['itunes:image'] = { $: { href: episode.artwork_url } };
+        if (episode.chapters_url) {
+            item['podcast:chapters'] = { $: { url: episode.chapters_url, type: 'application/json+chapters' } };
+        }
+        if (episode.transcript_url) {
+            item['podcast:transcript'] = { $: { url: episode.transcript_url, type: getMimeType(episode.transcript_url) } };
+        }
+        const alternateUrls = ['m4a', 'opus', 'hls'].map(format => episode.outputs?.[format]).filter(Boolean);
+        if (alternateUrls.length) {
+            item['podcast:alternateEnclosure'] = alternateUrls.map(url => ({
+                $: { type: getMimeType(url) },
+                'podcast:source': { $: { uri: url } }
+            }));
+        }
+        items.push(item);
+    }
+
+    const channel = {
+        title: channelInfo.title,
+        link: channelInfo.link,
+        description: channelInfo.description,
+        language: channelInfo.language,
+        'atom:link': { $: { href: channelInfo.feedUrl, rel: 'self', type: 'application/rss+xml' } },
+        'itunes:author': channelInfo.author,
+        'itunes:summary': channelInfo.description,
+        'itunes:explicit': 'false',
+        'itunes:category': { $: { text: channelInfo.category } },
+        'podcast:locked': 'no'
+    };
+    if (channelInfo.artwork) {
+        channel.image = { url: channelInfo.artwork, title: channelInfo.title, link: channelInfo.link };
+        channel['itunes:image'] = { $: { href: channelInfo.artwork } };
+    }
+    channel.item = items;
+
+    const builder = new Builder({ xmldec: { version: '1.0', encoding: 'UTF-8' } });
+    return builder.buildObject({
+        rss: {
+            $: {
+                version: '2.0',
+                'xmlns:itunes': 'http://www.itunes.com/dtds/podcast-1.0.dtd',
+                'xmlns:podcast': 'https://podcastindex.org/namespace/1.0',
+                'xmlns:atom': 'http://www.w3.org/2005/Atom'
+            },
+            channel
+        }
+    });
+};
+
+const getChannelInfo = (req, show = {}) => {
+    const baseUrl = process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+    return {
+        ...getShowDetails(show),
+        link: show.link || baseUrl,
+        feedUrl: `${baseUrl}${req.originalUrl}`
+    };
+};
+
+// With local storage this app serves the uploaded files itself.
+if (STORAGE_BACKEND === 'local') {
+    app.use(`/files/${STORAGE_BUCKET}`, express.static(path.join(LOCAL_STORAGE_DIR, STORAGE_BUCKET), {
+        setHeaders: (res, filePath) => res.setHeader('Content-Type', getMimeType(filePath))
+    }));
+}
+
+app.get('/feed.xml', async (req, res) => {
+    try {
+        const channelInfo = getChannelInfo(req);
+        const episodes = await getPublishedEpisodes();
+        res.type('application/rss+xml').send(await buildFeedXml(channelInfo, episodes));
+    } catch (error) {
+        console.error("Error building feed:", error);
+        res.status(500).json({ message: "Internal Server Error" });
+    }
+});
+
+app.get('/shows/:show/feed.xml', async (req, res) => {
+    try {
+        const show = await getShow(req.params.show);
+        if (!show) return res.status(404).json({ message: "Show not found" });
+
+        const channelInfo = getChannelInfo(req, show);
+        const episodes = await getPublishedEpisodes(show.slug);
+        res.type('application/rss+xml').send(await buildFeedXml(channelInfo, episodes));
+    } catch (error) {
+        console.error("Error building feed:", error);
+        res.status(500).json({ message: "Internal Server Error" });
+    }
+});
+
+// Checks the body of a build or preview request. Returns the job params, or why the request is invalid.
+// What each filters field must hold, grouped by type.
+const FILTER_TYPES = [
+    {
+        fields: ['allowChannels', 'denyChannels', 'languages', 'blockedKeywords'],
+        isValid: (value) => Array.isArray(value) && value.every(isNonEmptyString),
+        description: "a list of strings"
+    },
+    {
+        fields: ['minViews', 'minSubscribers'],
+        isValid: (value) => isFiniteNumber(value) && value >= 0,
+        description: "a non-negative number"
+    },
+    {
+        fields: ['maxAgeDays', 'minDuration', 'maxDuration'],
+        isValid: (value) => value === null || isFiniteNumber(value) && value >= 0,
+        description: "a non-negative number or null"
+    },
+    {
+        fields: ['creativeCommonsOnly', 'uniqueChannels', 'moderation'],
+        isValid: isBoolean,
+        description: "true or false"
+    }
+];
+const getFiltersProblem = (filters) => {
+    if (filters === undefined) return null;
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) return "filters must be an object";
+    for (const { fields, isValid, description } of FILTER_TYPES) {
+        const invalid = fields.find(field => filters[field] !== undefined && !isValid(filters[field]));
+        if (invalid) return `filters.${invalid} must be ${description}`;
+    }
+    return null;
+};
+
+// Returns what's wrong with an episode's settings, or null. Run sheets sent back for rendering
+// are checked here too, since several settings end up in ffmpeg filter graphs as they are.
+const getSettingsProblem = (settings) => {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) return "settings must be an object";
+    const { hosts, mix, boundaries, sources, filters, series, dedup, outputs } = settings;
+    if (hosts && (!Array.isArray(hosts) || !hosts.every(host => isNonEmptyString(host?.name)))) {
+        return "Every host needs a name";
+    }
+    if (['targetLufs', 'crossfade', 'clipFade', 'musicVolume'].some(field => mix?.[field] !== undefined && !isFiniteNumber(mix[field]))) {
+        return "mix.targetLufs, crossfade, clipFade and musicVolume must be numbers";
+    }
+    if (mix?.targetLufs !== undefined && !(mix.targetLufs >= -70 && mix.targetLufs <= -5)) {
+        return "mix.targetLufs must be between -70 and -5";
+    }
+    if (['crossfade', 'clipFade', 'musicVolume'].some(field => mix?.[field] < 0)) {
+        return "mix.crossfade, clipFade and musicVolume can't be negative";
+    }
+    if (['tolerance', 'minSilence'].some(field => boundaries?.[field] !== undefined && !(isFiniteNumber(boundaries[field]) && boundaries[field] >= 0))) {
+        return "boundaries.tolerance and minSilence must be non-negative numbers";
+    }
+    // silencedetect takes an amplitude ratio or a level in dB.
+    const { silenceThreshold } = boundaries ?? {};
+    if (silenceThreshold !== undefined && !((isFiniteNumber(silenceThreshold) && silenceThreshold >= 0 && silenceThreshold <= 1) || /^-?\d+(\.\d+)?dB$/.test(silenceThreshold))) {
+        return "boundaries.silenceThreshold must be a ratio from 0 to 1 or a level such as '-35dB'";
+    }
+    if (sources && normalizeSources(sources).some(source => !SOURCE_ADAPTERS[source.type])) {
+        return `Sources must be one of: ${Object.keys(SOURCE_ADAPTERS).join(', ')}`;
+    }
+    const filterProblem = getFiltersProblem(filters);
+    if (filterProblem) return filterProblem;
+    if (series !== undefined && series !== null && !isNonEmptyString(series)) {
+        return "series must be a non-empty string";
+    }
+    if (dedup?.mode && !['window', 'video', 'off'].includes(dedup.mode)) {
+        return "dedup.mode must be one of: window, video, off";
+    }
+    if (['m4a', 'opus', 'hls'].some(format => outputs?.[format] && !/^\d+k$/.test(outputs[format]))) {
+        return "outputs bitrates must be given in kbit/s, e.g. '128k'";
+    }
+    if (['hlsSegmentLength', 'highlightLength'].some(field => outputs?.[field] !== undefined && !(isFiniteNumber(outputs[field]) && outputs[field] > 0))) {
+        return "outputs.hlsSegmentLength and highlightLength must be positive numbers";
+    }
+    if (outputs?.videoSize !== undefined && !(Number.isInteger(outputs.videoSize) && outputs.videoSize % 2 === 0 && outputs.videoSize >= 240 && outputs.videoSize <= 2160)) {
+        return "outputs.videoSize must be an even number of pixels between 240 and 2160";
+    }
+    if (outputs?.background && !/^(0x[0-9a-f]{6}|[a-z]+)$/i.test(outputs.background)) {
+        return "outputs.background must be a colour name or 0xRRGGBB";
+    }
+    return null;
+};
+
+const parseEpisodeRequest = (body) => {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return { error: "The request needs a req object" };
+    if (!isNonEmptyString(body.query)) return { error: "req.query must be a non-empty string" };
+    const { query, llm, tts, hosts, mix, show, artwork, sources, boundaries, duration, filters, series, dedup, outputs } = body;
+    const episodeLength = Number(body.episodeLength);
+    if (!(episodeLength > 0 && isFinite(episodeLength))) {
+        return { error: "episodeLength must be a positive number of seconds" };
+    }
+    const { error: webhookError, webhooks } = parseWebhooks(body.webhooks);
+    if (webhookError) return { error: webhookError };
+
+    const settings = { llm, tts, hosts, mix, show, artwork, sources, boundaries, duration, filters, series, dedup, outputs };
+    const settingsProblem = getSettingsProblem(settings);
+    if (settingsProblem) return { error: settingsProblem };
+    return { params: { query, episodeLength, settings, webhooks } };
+};
+
+app.post('/create_episode', async (req, res) => {
+    const { error: requestError, params } = parseEpisodeRequest(req.body.req);
+    if (requestError) return res.status(400).json({ message: requestError });
+
+    try {
+        const job = await enqueueJob(params);
+        res.status(202).json({ message: "Episode queued", job_id: job.id });
+    } catch (error) {
+        console.error("Error queueing episode:", error);
+        res.status(500).json({ message: "Internal Server Error" });
+    }
+});
+
+// Plans an episode without rendering it. The run sheet is on the job once it completes.
+app.post('/episodes/preview', async (req, res) => {
+    const { error: requestError, params } = parseEpisodeRequest(req.body.req);
+    if (requestError) return res.status(400).json({ message: requestError });
+
+    try {
+        const job = await enqueueJob({ ...params, preview: true });
+        res.status(202).json({ message: "Episode preview queued", job_id: job.id });
+    } catch (error) {
+        console.error("Error queueing preview:", error);
+        res.status(500).json({ message: "Internal Server Error" });
+    }
+});
+
+// Renders a run sheet, either sent back edited as run_sheet or approved as is by its preview's job_id.
+app.post('/episodes/render', async (req, res) => {
+    const { error: webhookError, webhooks } = parseWebhooks(req.body.webhooks);
+    if (webhookError) return res.status(400).json({ message: webhookError });
+
+    try {
+        let runSheet = req.body.run_sheet;
+        if (!runSheet && req.body.job_id) {
+            const previewJob = await getJob(req.body.job_id);
+            if (!previewJob?.run_sheet) return res.status(404).json({ message: "No run sheet found for job" });
+            runSheet = previewJob.run_sheet;
+        }
+        const problem = validateRunSheet(runSheet);
+        if (problem) return res.status(400).json({ message: problem });
+        // Videos are looked up again by id, whether picked by hand or kept from the preview, so
+        // where a clip's audio and transcript come from is never taken from the request.
+        for (const entry of runSheet.topics) {
+            if (entry.skipped || !entry.video) continue;
+            const video = await findSourceItem(entry.video.id.videoId, runSheet.settings?.sources);
+            if (!video) return res.status(404).json({ message: `Video ${entry.video.id.videoId} not found` });
+            entry.video = video;
+        }
+
+        const job = await enqueueJob({ runSheet, webhooks });
+        res.status(202).json({ message: "Episode queued", job_id: job.id });
+    } catch (error) {
+        console.error("Error queueing run sheet:", error);
+        res.status(500).json({ message: "Internal Server Error" });
+    }
+});
+
+app.post('/episodes/:id/resume', async (req, res) => {
+    const { error: webhookError, webhooks } = parseWebhooks(req.body.webhooks);
+    if (webhookError) return res.status(400).json({ message: webhookError });
+
+    try {
+        const checkpoint = await getCheckpoint(req.params.id);
+        if (!checkpoint) return res.status(404).json({ message: "No checkpoint found for episode" });
+        if (checkpoint.status === 'completed') return res.status(409).json({ message: "Episode is already complete" });
+        if (resumingEpisodes.has(checkpoint.episode)) return res.status(409).json({ message: "Episode already has a job queued or running" });
+
+        resumingEpisodes.add(checkpoint.episode);
+        try {
+            if (await getActiveEpisodeJob(checkpoint.episode)) {
+                return res.status(409).json({ message: "Episode already has a job queued or running" });
+            }
+            const job = await enqueueJob({ episodeId: checkpoint.episode, webhooks });
+            res.status(202).json({ message: "Episode resume queued", job_id: job.id });
+        } finally {
+            resumingEpisodes.delete(checkpoint.episode);
+        }
+    } catch (error) {
+        console.error("Error resuming episode:", error);
+        res.status(500).json({ message: "Internal Server Error" });
+    }
+});
+
+app.get('/episodes/:id', async (req, res) => {
+    try {
+        const episode = await getEpisode(req.params.id);
+        if (!episode) return res.status(404).json({ message: "Episode not found" });
+
+        const [intros, clips, transitions] = await Promise.all(['intros', 'clips', 'transitions'].map(table => getSegmentRows(table, episode.id)));
+        const checkpoint = await getCheckpoint(episode.id);
+        res.json({ ...episode, status: checkpoint?.status || null, intro: intros[0] || null, clips, transitions });
+    } catch (error) {
+        console.error("Error getting episode:", error);
+        res.status(500).json({ message: "Internal Server Error" });
+    }
+});
+
+// Reorders or drops clips. order lists the clip indexes to keep, in their new order.
+app.patch('/episodes/:id/segments', async (req, res) => {
+    const { order } = req.body;
+    if (!Array.isArray(order) || !order.length || !order.every(Number.isInteger) || new Set(order).size !== order.length) {
+        return res.status(400).json({ message: "order must be a non-empty list of distinct clip indexes" });
+    }
+    const { error: webhookError, webhooks } = parseWebhooks(req.body.webhooks);
+    if (webhookError) return res.status(400).json({ message: webhookError });
+
+    try {
+        const checkpoint = await getCheckpoint(req.params.id);
+        if (!checkpoint) return res.status(404).json({ message: "No checkpoint found for episode" });
+        if (checkpoint.status !== 'completed') return res.status(409).json({ message: "Episode is still being built" });
+        if (!order.every(index => checkpoint.topic_states[index]?.clip)) {
+            return res.status(400).json({ message: "order may only contain indexes of existing clips" });
+        }
+
+        reorderTopics(checkpoint, order);
+        const job = await queueEpisodeEdit(checkpoint, webhooks);
+        res.status(202).json({ message: "Episode edit queued", job_id: job.id });
+    } catch (error) {
+        console.error("Error editing episode:", error);
+        res.status(500).json({ message: "Internal Server Error" });
+    }
+});
+
+// Swaps a clip for another video and/or time range. Without a time range, the best section
+// of the new video is picked for the old clip's length.
+app.post('/episodes/:id/clips/:index/replace', async (req, res) => {
+    const index = parseInt(req.params.index);
+    const { video_id: videoId, start_time: startTime, end_time: endTime } = req.body;
+    const hasRange = startTime != null || endTime != null;
+    if (hasRange && !(typeof startTime === 'number' && typeof endTime === 'number' && startTime >= 0 && endTime > startTime)) {
+        return res.status(400).json({ message: "start_time and end_time must be given together, with end_time after start_time" });
+    }
+    const { error: webhookError, webhooks } = parseWebhooks(req.body.webhooks);
+    if (webhookError) return res.status(400).json({ message: webhookError });
+
+    try {
+        const checkpoint = await getCheckpoint(req.params.id);
+        if (!checkpoint) return res.status(404).json({ message: "No checkpoint found for episode" });
+        if (checkpoint.status !== 'completed') return res.status(409).json({ message: "Episode is still being built" });
+        const clip = checkpoint.topic_states[index]?.clip;
+        if (!clip) return res.status(404).json({ message: "Clip not found" });
+
+        let video = clip.video;
+        if (videoId && videoId !== clip.video.id.videoId) {
+            video = await findSourceItem(videoId, checkpoint.settings?.sources);
+            if (!video) return res.status(404).json({ message: "Video not found" });
+        } else if (!hasRange) {
+            return res.status(400).json({ message: "Give a different video_id or a time range" });
+        }
+
+        replaceTopicClip(checkpoint, index, { video, start_time: startTime ?? null, end_time: endTime ?? null, target_length: clip.length });
+        const job = await queueEpisodeEdit(checkpoint, webhooks);
+        res.status(202).json({ message: "Clip replacement queued", job_id: job.id });
+    } catch (error) {
+        console.error("Error replacing clip:", error);
+        res.status(500).json({ message: "Internal Server Error" });
+    }
+});
+
+// Endpoints that change the server's own files are only open when ADMIN_TOKEN is set, and
+// then only to requests that send it as a bearer token.
+const requireAdminToken = (req, res, next) => {
+    if (!process.env.ADMIN_TOKEN) return res.status(403).json({ message: "Set ADMIN_TOKEN to enable this endpoint" });
+    if (req.get('Authorization') !== `Bearer ${process.env.ADMIN_TOKEN}`) {
+        return res.status(401).json({ message: "Unauthorized" });
+    }
+    next();
+};
+
+// Adds an audio file (and optional title/author/description) to the local source library.
+// The body is streamed to a .part file and only linked into place once it's all there, so a
+// cut-off upload never shows up as a library item. Files are never replaced: transcripts and
+// audio are cached by file name, so a new file under an old name would be served stale.
+app.post('/library/:fileName', requireAdminToken, async (req, res) => {
+    const fileName = path.basename(req.params.fileName);
+    if (!AUDIO_EXTENSIONS.includes(path.extname(fileName).toLowerCase())) {
+        return res.status(400).json({ message: `File must be one of: ${AUDIO_EXTENSIONS.join(', ')}` });
+    }
+    if (parseInt(req.get('Content-Length')) > LIBRARY_MAX_BYTES) {
+        return res.status(413).json({ message: `Files can be at most ${LIBRARY_MAX_BYTES} bytes` });
+    }
+    // Files with the same name share a metadata sidecar and transcript.
+    const baseName = path.parse(fileName).name;
+    if (fs.existsSync(LOCAL_AUDIO_DIR) && fs.readdirSync(LOCAL_AUDIO_DIR).some(existing => !existing.endsWith('.part') && path.parse(existing).name === baseName)) {
+        return res.status(409).json({ message: `The library already has a file named ${baseName}` });
+    }
+
+    const filePath = path.join(LOCAL_AUDIO_DIR, fileName);
+    const partPath = `${filePath}.${uuid()}.part`;
+    try {
+        fs.mkdirSync(LOCAL_AUDIO_DIR, { recursive: true });
+        let receivedBytes = 0;
+        await pipeline(req, async function* (chunks) {
+            for await (const chunk of chunks) {
+                receivedBytes += chunk.length;
+                if (receivedBytes > LIBRARY_MAX_BYTES) throw Object.assign(new Error("Upload is too large"), { status: 413 });
+                yield chunk;
+            }
+        }, fs.createWriteStream(partPath));
+        // Unlike a rename, linking fails if another upload got the name first.
+        fs.linkSync(partPath, filePath);
+        fs.rmSync(partPath);
+        const { title, author, description } = req.query;
+        if (title || author || description) {
+            const metadataPath = path.join(LOCAL_AUDIO_DIR, `${path.parse(fileName).name}.json`);
+            fs.writeFileSync(metadataPath, JSON.stringify({ title, author, description }, null, 2));
+        }
+        res.status(201).json({ message: "Added to library", id: `local:${fileName}` });
+    } catch (error) {
+        fs.rmSync(partPath, { force: true });
+        if (error.status === 413) return res.status(413).json({ message: `Files can be at most ${LIBRARY_MAX_BYTES} bytes` });
+        if (error.code === 'EEXIST') return res.status(409).json({ message: `The library already has a file named ${baseName}` });
+        console.error("Error adding to library:", error);
+        res.status(500).json({ message: "Internal Server Error" });
+    }
+});
+
+app.delete('/cache', requireAdminToken, async (req, res) => {
+    const { namespace } = req.query;
+    if (namespace && !CACHE_TTLS[namespace]) {
+        return res.status(400).json({ message: `Namespace must be one of: ${Object.keys(CACHE_TTLS).join(', ')}` });
+    }
+
+    try {
+        await clearCache(namespace);
+        res.json({ message: namespace ? `Cleared the ${namespace} cache` : "Cleared the cache" });
+    } catch (error) {
+        console.error("Error clearing cache:", error);
+        res.status(500).json({ message: "Internal Server Error" });
+    }
+});
+
+// Registers a webhook for every job. The secret is generated unless one is given, and is only
+// returned here.
+app.post('/webhooks', async (req, res) => {
+    const { url, events = [], secret = crypto.randomBytes(32).toString('hex') } = req.body;
+    const problem = getWebhookProblem({ url, events, secret });
+    if (problem) return res.status(400).json({ message: problem });
+
+    try {
+        const webhook = { id: uuid(), url, events, secret, created_at: new Date().toISOString() };
+        await metadata.insert('webhooks', webhook);
+        res.status(201).json(webhook);
+    } catch (error) {
+        console.error("Error registering webhook:", error);
+        res.status(500).json({ message: "Internal Server Error" });
+    }
+});
+
+app.get('/webhooks', async (req, res) => {
+    try {
+        const webhooks = await metadata.find('webhooks', {}, { orderBy: 'created_at' });
+        res.json(webhooks.map(({ secret, ...webhook }) => webhook));
+    } catch (error) {
+        console.error("Error listing webhooks:", error);
+        res.status(500).json({ message: "Internal Server Error" });
+    }
+});
+
+app.delete('/webhooks/:id', async (req, res) => {
+    try {
+        const webhook = await metadata.findOne('webhooks', { id: req.params.id });
+        if (!webhook) return res.status(404).json({ message: "Webhook not found" });
+
+        await metadata.remove('webhooks', { id: webhook.id });
+        res.json({ message: "Webhook removed" });
+    } catch (error) {
+        console.error("Error removing webhook:", error);
+        res.status(500).json({ message: "Internal Server Error" });
+    }
+});
+
+// Sends a webhook.ping event, for checking a receiver and its signature verification.
+app.post('/webhooks/:id/ping', async (req, res) => {
+    try {
+        const webhook = await metadata.findOne('webhooks', { id: req.params.id });
+        if (!webhook) return res.status(404).json({ message: "Webhook not found" });
+
+        const [delivery] = await queueDeliveries([webhook], buildEvent('webhook.ping', { webhook_id: webhook.id }));
+        res.status(202).json({ message: "Ping queued", delivery_id: delivery.id });
+    } catch (error) {
+        console.error("Error pinging webhook:", error);
+        res.status(500).json({ message: "Internal Server Error" });
+    }
+});
+
+// The delivery log, newest first. Filter with job_id, episode_id, event or status.
+app.get('/webhooks/deliveries', async (req, res) => {
+    const filters = Object.fromEntries(['job_id', 'episode_id', 'event', 'status']
+        .filter(field => req.query[field])
+        .map(field => [field, req.query[field]]));
+
+    try {
+        const deliveries = await metadata.find('webhook_deliveries', filters, { orderBy: 'created_at', ascending: false, limit: 100 });
+        res.json(deliveries);
+    } catch (error) {
+        console.error("Error listing webhook deliveries:", error);
+        res.status(500).json({ message: "Internal Server Error" });
+    }
+});
+
+app.get('/jobs/:id', async (req, res) => {
+    try {
+        const job = await getJob(req.params.id);
+        if (!job) return res.status(404).json({ message: "Job not found" });
+
+        res.json({
+            job_id: job.id,
+            status: job.status,
+            stage: job.stage,
+            topic: job.topic_count ? { index: job.topic_index + 1, total: job.topic_count } : null,
+            progress: job.progress,
+            episode_id: job.episode_id,
+            run_sheet: job.run_sheet || null,
+            error: job.error
+        });
+    } catch (error) {
+        console.error("Error getting job:", error);
         res.status(500).json({ message: "Internal Server Error" });
     }
 });
 
 app.listen(5000, () => {
     console.log('Server is running on port 5000');
+    recoverJobs().catch(error => console.error("Error recovering jobs:", error));
+    recoverWebhookDeliveries().catch(error => console.error("Error recovering webhook deliveries:", error));
 });